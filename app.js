@@ -2,7 +2,7 @@
    FORGEFIT — Smart Program Maker (Option 1 + Option 2)
    - Option 1: rule-based program generator (offline)
    - Option 2: smart scoring (fatigue/recovery/performance)
-   - LocalStorage persistence
+   - IndexedDB persistence (localStorage fallback)
    - PWA install + offline service worker
    ========================================================= */
 
@@ -21,7 +21,33 @@
   };
 
   const uid = () => Math.random().toString(16).slice(2) + Date.now().toString(16);
-  const todayISO = () => new Date().toISOString().slice(0, 10);
+
+  // Seeded PRNG (mulberry32) so a program can be regenerated exactly from its seed
+  const mulberry32 = (seed) => () => {
+    let t = (seed = (seed + 0x6D2B79F5) >>> 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const newSeed = () => Math.floor(Math.random() * 4294967296);
+  const parseSeed = (value) => {
+    // Digits are used as-is; any other text is hashed (FNV-1a) so seeds can be words
+    const str = String(value ?? "").trim();
+    if (!str) return null;
+    if (/^\d+$/.test(str)) return Number(str) >>> 0;
+    let h = 0x811c9dc5;
+    for (const ch of str) h = Math.imul(h ^ ch.codePointAt(0), 0x01000193);
+    return h >>> 0;
+  };
+  const DAY_MS = 1000 * 60 * 60 * 24;
+  const dateISO = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+  const todayISO = () => dateISO(new Date()); // local calendar date, not UTC
+  const daysBetween = (a, b) => Math.round((new Date(`${b}T00:00:00`) - new Date(`${a}T00:00:00`)) / DAY_MS);
+  const addDaysISO = (date, n) => {
+    const d = new Date(`${date}T00:00:00`);
+    d.setDate(d.getDate() + n);
+    return dateISO(d);
+  };
 
   const debounce = (fn, ms = 200) => {
     let t = null;
@@ -103,48 +129,360 @@
   }
 
   /* =========================
-     Storage Layer
+     Storage Layer (IndexedDB)
+     - separate object stores: profile, programs, history, exercises, settings, meta
+     - history is written entry by entry, never as one blob
+     - SCHEMA_VERSION + ordered MIGRATIONS upgrade stored data in place
+     - falls back to the legacy localStorage blob only when the browser has no
+       IndexedDB; once it does, open/migration errors are shown, never papered over
   ========================= */
-  const STORAGE_KEY = "forgefit_v1";
+  const LEGACY_STORAGE_KEY = "forgefit_v1";
+  const DB_NAME = "forgefit";
+  const DB_VERSION = 2; // object store layout (bump when adding stores/indexes)
+  const META_KEYS = ["todayIndex", "schedule", "timer", "stats", "scoring", "checkins", "adaptation"];
+
   const defaultState = {
     theme: "dark",
     settings: {
       units: "kg",
       startWeek: "mon",
+      trainingDays: [], // weekdays 0 (Sun) … 6 (Sat); empty = pick days by hand
+      missedRule: "shift", // "shift" | "skip", see "Calendar Schedule"
+      loading: { // equipment inventory per unit, see "Plate Math"
+        kg: { bar: 20, plates: [25, 20, 15, 10, 5, 2.5, 1.25], dumbbellStep: 2, dumbbellMax: 50 },
+        lb: { bar: 45, plates: [45, 35, 25, 10, 5, 2.5], dumbbellStep: 5, dumbbellMax: 120 },
+      },
     },
     profile: null, // generator inputs
-    program: null, // generated plan
+    program: null, // active plan (also listed in programs)
+    programs: [], // saved plans: active, inactive and archived
     todayIndex: 0,
-    timer: { seconds: 0, running: false },
+    schedule: { date: null, trainAnyway: false }, // date todayIndex was resolved for
+    timer: {
+      mode: "rest", // see TIMER_MODES
+      config: {
+        rest: { seconds: 90 },
+        emom: { minutes: 10, every: 60 },
+        amrap: { minutes: 12 },
+        interval: { work: 20, rest: 10, rounds: 8 },
+        stopwatch: {},
+      },
+      running: false,
+      startedAt: null, // epoch ms of the last start/resume
+      elapsedBefore: 0, // ms banked by earlier runs before a pause
+      laps: [], // elapsed ms at each lap (stopwatch) or finished round (AMRAP)
+    },
     history: [],
+    customExercises: [], // user-defined library entries, see "Custom Exercises"
     stats: {
       streak: 0,
       lastLogDate: null,
     },
-    scoring: {
+    scoring: { // cache of the training load model, see "Smart Scoring"
       fatigue: 35,     // 0..100 (higher = more fatigued)
       recovery: 55,    // 0..100 (higher = more recovered)
       performance: 55, // 0..100 (higher = better)
+      acute: 0,        // 7-day weighted daily load (AU)
+      chronic: 0,      // 28-day weighted daily load (AU)
+      acwr: 1,         // acute:chronic workload ratio
       lastUpdated: null,
-      weekCounter: 1,
-      deloadSuggestedAtWeek: null,
-    }
+      deloadSuggestedAtWeek: null, // "<programId>:<absolute week>" of the last deload toast
+    },
+    checkins: [], // daily readiness check-ins, see "Readiness Check-in"
+    adaptation: null, // accept/reject choices for today's session, see "Today Adaptation"
   };
 
-  function loadState() {
+  function idbRequest(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function idbDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function openDB() {
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains("profile")) db.createObjectStore("profile");
+        if (!db.objectStoreNames.contains("programs")) db.createObjectStore("programs", { keyPath: "id" });
+        if (!db.objectStoreNames.contains("history")) {
+          db.createObjectStore("history", { keyPath: "id" }).createIndex("date", "date");
+        }
+        if (!db.objectStoreNames.contains("exercises")) db.createObjectStore("exercises", { keyPath: "id" });
+        if (!db.objectStoreNames.contains("settings")) db.createObjectStore("settings");
+        if (!db.objectStoreNames.contains("meta")) db.createObjectStore("meta");
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        // A newer version opened in another tab: step aside so its upgrade can run
+        db.onversionchange = () => {
+          db.close();
+          toast("Update ready", "ForgeFit was updated in another tab. Reload this one to keep saving.", 8000);
+        };
+        resolve(db);
+      };
+      req.onerror = () => reject(req.error);
+      // An older tab still holds the database open: the open resumes once it closes
+      req.onblocked = () => toast("Update waiting", "Close ForgeFit in your other tabs to finish updating your data.", 8000);
+    });
+  }
+
+  /* ---------- Snapshot read/write (state-shaped <-> object stores) ---------- */
+  function writeSnapshot(db, snap, { withHistory = true } = {}) {
+    const stores = ["profile", "programs", "exercises", "settings", "meta", ...(withHistory ? ["history"] : [])];
+    const tx = db.transaction(stores, "readwrite");
+    const profile = tx.objectStore("profile");
+    const programs = tx.objectStore("programs");
+    const settings = tx.objectStore("settings");
+    const meta = tx.objectStore("meta");
+
+    if (snap.profile) profile.put(snap.profile, "current");
+    else profile.delete("current");
+
+    programs.clear();
+    (snap.programs || []).forEach(p => programs.put(p));
+    if (snap.program) programs.put(snap.program);
+    meta.put(snap.program?.id ?? null, "activeProgramId");
+
+    const exercises = tx.objectStore("exercises");
+    exercises.clear();
+    (snap.customExercises || []).forEach(e => exercises.put(e));
+
+    settings.put(snap.settings ?? defaultState.settings, "settings");
+    settings.put(snap.theme ?? defaultState.theme, "theme");
+    META_KEYS.forEach(k => meta.put(snap[k] ?? defaultState[k], k));
+
+    if (withHistory) {
+      const history = tx.objectStore("history");
+      history.clear();
+      (snap.history || []).forEach(h => history.put(h));
+    }
+    return idbDone(tx);
+  }
+
+  async function readSnapshot(db) {
+    const tx = db.transaction(["profile", "programs", "history", "exercises", "settings", "meta"], "readonly");
+    const get = (store, key) => idbRequest(tx.objectStore(store).get(key));
+    const [profile, activeId, settings, theme, history, customExercises, programs, ...metaVals] = await Promise.all([
+      get("profile", "current"),
+      get("meta", "activeProgramId"),
+      get("settings", "settings"),
+      get("settings", "theme"),
+      idbRequest(tx.objectStore("history").index("date").getAll()),
+      idbRequest(tx.objectStore("exercises").getAll()),
+      idbRequest(tx.objectStore("programs").getAll()),
+      ...META_KEYS.map(k => get("meta", k))
+    ]);
+    const program = programs.find(p => p.id === activeId) ?? null;
+
+    const snap = { profile: profile ?? null, program, programs, history, customExercises };
+    if (settings !== undefined) snap.settings = settings;
+    if (theme !== undefined) snap.theme = theme;
+    META_KEYS.forEach((k, i) => { if (metaVals[i] !== undefined) snap[k] = metaVals[i]; });
+    return snap;
+  }
+
+  /* ---------- Data migrations (run once each, in order) ----------
+     up(db): works on the stores directly
+     transform(snap): pure state-shaped rewrite; also applied to restored backups */
+  const MIGRATIONS = [
+    {
+      version: 1,
+      name: "Import the legacy localStorage blob",
+      async up(db) {
+        const raw = localStorage.getItem(LEGACY_STORAGE_KEY);
+        if (!raw) return;
+        const legacy = deepMerge(structuredClone(defaultState), JSON.parse(raw));
+        // Legacy logs had no timestamp; keep their array order within a day
+        legacy.history = (legacy.history || []).map((h, i) => ({
+          loggedAt: new Date(Date.parse(`${h.date}T00:00:00Z`) + i).toISOString(),
+          ...h
+        }));
+        await writeSnapshot(db, legacy);
+        // The blob itself is removed by runMigrations once the whole run has committed
+      }
+    },
+    {
+      version: 2,
+      name: "Stable exercise ids (slugs) in programs and history",
+      transform(snap) {
+        // Older ids were random per page load; the name is the only reliable key
+        const toId = (nameOrId) => resolveExerciseId(nameOrId) || slugify(nameOrId);
+        const fix = (x) => ({ ...x, exId: toId(x.name) });
+        snap.program?.week?.forEach(d => {
+          d.exercises = d.exercises.map(x => ({ ...fix(x), alts: (x.alts || []).map(toId) }));
+        });
+        snap.history = (snap.history || []).map(h => ({ ...h, exercises: (h.exercises || []).map(fix) }));
+        return snap;
+      }
+    },
+    {
+      version: 3,
+      name: "Flag personal records on existing history",
+      transform(snap) {
+        snap.history = sortHistory(snap.history || []);
+        recomputePRs(snap.history, snap.settings?.units || defaultState.settings.units);
+        return snap;
+      }
+    },
+    {
+      version: 4,
+      name: "Program library: every plan gets a name and revision",
+      transform(snap) {
+        const list = snap.programs?.length ? snap.programs : [snap.program].filter(Boolean);
+        snap.programs = list.map(p => ({ name: defaultProgramName(p), revision: 1, archived: false, ...p }));
+        snap.program = snap.programs.find(p => p.id === snap.program?.id) ?? null;
+        return snap;
+      }
+    },
+    {
+      version: 5,
+      name: "Timer keeps wall-clock timestamps instead of a seconds counter",
+      transform(snap) {
+        // A countdown in flight can't be resumed meaningfully; start clean
+        snap.timer = structuredClone(defaultState.timer);
+        return snap;
+      }
+    },
+    {
+      version: 6,
+      name: "Structured limitations from the free-text injuries field",
+      transform(snap) {
+        // The old keywords become regions; the text stays as a note
+        const fix = (p) => {
+          if (p && !Array.isArray(p.limitations)) p.limitations = legacyLimitations(p.limits);
+        };
+        const fixProgram = (program) => {
+          fix(program.profile);
+          program.week?.forEach(d => d.exercises.forEach(x => applyLimitations(x, program.profile?.limitations)));
+        };
+        fix(snap.profile);
+        (snap.programs || []).forEach(fixProgram);
+        if (snap.program) fixProgram(snap.program);
+        return snap;
+      }
+    },
+  ];
+  const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+  async function runMigrations(db) {
+    const metaGet = () => idbRequest(db.transaction("meta").objectStore("meta").get("schemaVersion"));
+    let current = (await metaGet()) || 0;
+    for (const m of MIGRATIONS) {
+      if (m.version <= current) continue;
+      if (m.up) await m.up(db);
+      else await writeSnapshot(db, m.transform(await readSnapshot(db)));
+      const tx = db.transaction("meta", "readwrite");
+      tx.objectStore("meta").put(m.version, "schemaVersion");
+      await idbDone(tx);
+      current = m.version;
+    }
+    // Everything is in IndexedDB now; the old blob would only shadow it
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+  }
+
+  function migrateSnapshot(snap, fromVersion) {
+    // Backups exported before versioning have the legacy (version 1) shape
+    return MIGRATIONS
+      .filter(m => m.version > fromVersion && m.transform)
+      .reduce((acc, m) => m.transform(acc), snap);
+  }
+
+  /* ---------- Store backends ---------- */
+  function idbStore(db) {
+    return {
+      kind: "indexeddb",
+      load: () => readSnapshot(db),
+      save: (s) => writeSnapshot(db, s, { withHistory: false }),
+      putHistory: (entries) => {
+        // One entry or a batch (e.g. after PR flags are re-derived)
+        const tx = db.transaction("history", "readwrite");
+        [].concat(entries).forEach(e => tx.objectStore("history").put(e));
+        return idbDone(tx);
+      },
+      deleteHistory: (id) => {
+        const tx = db.transaction("history", "readwrite");
+        tx.objectStore("history").delete(id);
+        return idbDone(tx);
+      },
+      clearHistory: () => {
+        const tx = db.transaction("history", "readwrite");
+        tx.objectStore("history").clear();
+        return idbDone(tx);
+      },
+      replaceAll: (s) => writeSnapshot(db, s),
+    };
+  }
+
+  function legacyStore() {
+    // Whole-state blob, as before IndexedDB; every write serializes everything.
+    // The blob carries its schemaVersion and goes through the same transforms
+    const write = (s = state) => {
+      localStorage.setItem(LEGACY_STORAGE_KEY, JSON.stringify({ ...s, _dirty: undefined, schemaVersion: SCHEMA_VERSION }));
+    };
+    return {
+      kind: "localStorage",
+      load: async () => {
+        const raw = localStorage.getItem(LEGACY_STORAGE_KEY);
+        if (!raw) return {};
+        const { schemaVersion = 1, ...snap } = JSON.parse(raw);
+        if (schemaVersion >= SCHEMA_VERSION) return snap;
+        const migrated = migrateSnapshot(snap, schemaVersion);
+        write(migrated); // once: some transforms (e.g. the timer reset) must not repeat
+        return migrated;
+      },
+      save: async () => write(),
+      putHistory: async () => write(),
+      deleteHistory: async () => write(),
+      clearHistory: async () => write(),
+      replaceAll: async () => write(),
+    };
+  }
+
+  async function openStorage() {
+    if (!("indexedDB" in window)) return legacyStore();
+    // No fallback past this point: the data may already live in IndexedDB, and
+    // writing to localStorage instead would hide it and never be imported
+    const db = await openDB();
+    await runMigrations(db);
+    return idbStore(db);
+  }
+
+  let store = null; // set by boot() once storage is open; writes before that are dropped
+
+  async function loadState(from) {
     try {
-      const raw = localStorage.getItem(STORAGE_KEY);
-      if (!raw) return structuredClone(defaultState);
-      const parsed = JSON.parse(raw);
-      return deepMerge(structuredClone(defaultState), parsed);
+      const snap = await from.load();
+      const loaded = deepMerge(structuredClone(defaultState), snap);
+      loaded.history = sortHistory(loaded.history || []);
+      linkActiveProgram(loaded);
+      return loaded;
     } catch {
       return structuredClone(defaultState);
     }
   }
 
+  function persist(write) {
+    // Until boot() has loaded the stored state, in-memory state is only the
+    // defaults: writing it would overwrite the user's data
+    if (!store) return;
+    write(store).catch(() => {
+      toast("Storage", "Could not save to this device. Check available storage.");
+    });
+  }
+
   function saveState() {
     state._dirty = false;
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    persist(s => s.save(state));
     $("#pillSaved").textContent = "Saved";
     $("#pillSaved").classList.remove("ghost");
     setTimeout(() => {
@@ -153,6 +491,44 @@
     }, 850);
   }
 
+  function sortHistory(list) {
+    // Oldest first, by training date then by when the entry was logged
+    const key = (h) => `${h.date}|${h.loggedAt || ""}`;
+    return list.slice().sort((a, b) => key(a).localeCompare(key(b)));
+  }
+
+  function addHistoryEntry(entry) {
+    state.history.push(entry);
+    persist(s => s.putHistory(entry));
+  }
+
+  function recomputeFromHistory() {
+    // Everything derived from the log: order, PR flags, streak, smart scores
+    state.history = sortHistory(state.history);
+    recomputePRs();
+    recomputeStreak();
+    rebuildScoringFromHistory();
+    persist(s => s.putHistory(state.history));
+    state._dirty = true;
+    saveState();
+  }
+
+  function linkActiveProgram(s) {
+    // state.program must be the same object as its entry in state.programs
+    if (!s.program) return;
+    const i = s.programs.findIndex(p => p.id === s.program.id);
+    if (i >= 0) s.programs[i] = s.program;
+    else s.programs.push(s.program);
+  }
+
+  function replaceAllData(next) {
+    linkActiveProgram(next);
+    state = next;
+    programDraft = null;
+    syncCustomExercises();
+    persist(s => s.replaceAll(state));
+  }
+
   function deepMerge(base, patch) {
     if (patch && typeof patch === "object" && !Array.isArray(patch)) {
       for (const k of Object.keys(patch)) {
@@ -166,7 +542,7 @@
     return base;
   }
 
-  let state = loadState();
+  let state = structuredClone(defaultState);
 
   /* =========================
      PWA install + Service Worker
@@ -199,59 +575,146 @@
      - gym + home variants
      - alternatives for substitutions
   ========================= */
+  const KNOWN_NAMES = new Map(); // id -> display name, incl. alternatives not in the library
+
   const EX = [
     // PUSH (chest/shoulders/triceps)
-    ex("Barbell Bench Press", "push", "chest", "gym", ["Dumbbell Bench Press", "Machine Chest Press", "Push-ups"]),
-    ex("Dumbbell Bench Press", "push", "chest", "gym", ["Barbell Bench Press", "Machine Chest Press", "Push-ups"]),
-    ex("Machine Chest Press", "push", "chest", "gym", ["Barbell Bench Press", "Dumbbell Bench Press", "Push-ups"]),
-    ex("Incline Dumbbell Press", "push", "chest", "gym", ["Incline Bench Press", "Machine Incline Press", "Feet-elevated Push-ups"]),
-    ex("Cable Fly", "push", "chest", "gym", ["Pec Deck", "Dumbbell Fly", "Push-up Wide"]),
-    ex("Overhead Press", "push", "shoulders", "gym", ["Dumbbell Shoulder Press", "Arnold Press", "Pike Push-ups"]),
-    ex("Lateral Raise", "push", "shoulders", "gym", ["Cable Lateral Raise", "Band Lateral Raise", "Lean-away Lateral Raise"]),
-    ex("Triceps Pushdown", "push", "triceps", "gym", ["Overhead Triceps Extension", "Close-Grip Push-ups", "Bench Dips"]),
-    ex("Dips", "push", "triceps", "gym", ["Close-Grip Bench", "Bench Dips", "Push-ups Close"]),
-    ex("Push-ups", "push", "chest", "home", ["Knee Push-ups", "Feet-elevated Push-ups", "Diamond Push-ups"]),
-    ex("Pike Push-ups", "push", "shoulders", "home", ["Handstand Hold", "Dumbbell Shoulder Press", "Band Overhead Press"]),
-    ex("Band Overhead Press", "push", "shoulders", "home", ["Dumbbell Shoulder Press", "Pike Push-ups", "Arnold Press"]),
-    ex("Diamond Push-ups", "push", "triceps", "home", ["Close-Grip Push-ups", "Bench Dips", "Band Pushdown"]),
+    ex("Barbell Bench Press", "push", "chest", "gym", ["barbell", "bench"], ["Dumbbell Bench Press", "Machine Chest Press", "Push-ups"]),
+    ex("Dumbbell Bench Press", "push", "chest", "gym", ["dumbbell", "bench"], ["Barbell Bench Press", "Machine Chest Press", "Push-ups"]),
+    ex("Machine Chest Press", "push", "chest", "gym", ["machine"], ["Barbell Bench Press", "Dumbbell Bench Press", "Push-ups"]),
+    ex("Incline Dumbbell Press", "push", "chest", "gym", ["dumbbell", "bench"], ["Incline Bench Press", "Machine Incline Press", "Feet-elevated Push-ups"]),
+    ex("Cable Fly", "push", "chest", "gym", ["cable"], ["Pec Deck", "Dumbbell Fly", "Push-up Wide"]),
+    ex("Overhead Press", "push", "shoulders", "gym", ["barbell"], ["Dumbbell Shoulder Press", "Arnold Press", "Pike Push-ups"]),
+    ex("Lateral Raise", "push", "shoulders", "gym", ["dumbbell"], ["Cable Lateral Raise", "Band Lateral Raise", "Lean-away Lateral Raise"]),
+    ex("Triceps Pushdown", "push", "triceps", "gym", ["cable"], ["Overhead Triceps Extension", "Close-Grip Push-ups", "Bench Dips"]),
+    ex("Dips", "push", "triceps", "gym", ["dip_bars"], ["Close-Grip Bench", "Bench Dips", "Push-ups Close"]),
+    ex("Push-ups", "push", "chest", "home", [], ["Knee Push-ups", "Feet-elevated Push-ups", "Diamond Push-ups"]),
+    ex("Pike Push-ups", "push", "shoulders", "home", [], ["Handstand Hold", "Dumbbell Shoulder Press", "Band Overhead Press"]),
+    ex("Band Overhead Press", "push", "shoulders", "home", ["band"], ["Dumbbell Shoulder Press", "Pike Push-ups", "Arnold Press"]),
+    ex("Diamond Push-ups", "push", "triceps", "home", [], ["Close-Grip Push-ups", "Bench Dips", "Band Pushdown"]),
 
     // PULL (back/biceps)
-    ex("Pull-ups", "pull", "back", "gym", ["Lat Pulldown", "Assisted Pull-ups", "Band Pull-down"]),
-    ex("Lat Pulldown", "pull", "back", "gym", ["Pull-ups", "Band Pull-down", "One-arm Cable Pulldown"]),
-    ex("Barbell Row", "pull", "back", "gym", ["Dumbbell Row", "Seated Cable Row", "Chest-Supported Row"]),
-    ex("Seated Cable Row", "pull", "back", "gym", ["Barbell Row", "Dumbbell Row", "Band Row"]),
-    ex("Dumbbell Row", "pull", "back", "gym", ["Barbell Row", "Cable Row", "Band Row"]),
-    ex("Face Pull", "pull", "rear_delts", "gym", ["Rear Delt Fly", "Band Face Pull", "High Row"]),
-    ex("Biceps Curl", "pull", "biceps", "gym", ["Hammer Curl", "Cable Curl", "Band Curl"]),
-    ex("Hammer Curl", "pull", "biceps", "gym", ["Biceps Curl", "Band Curl", "Incline DB Curl"]),
-    ex("Band Row", "pull", "back", "home", ["One-arm DB Row", "Towel Row", "Band Lat Pulldown"]),
-    ex("Band Curl", "pull", "biceps", "home", ["DB Curl", "Hammer Curl", "Isometric Curl Hold"]),
-    ex("Rear Delt Fly", "pull", "rear_delts", "home", ["Band Face Pull", "Reverse Snow Angels", "Band Pull-aparts"]),
-    ex("Band Pull-aparts", "pull", "rear_delts", "home", ["Rear Delt Fly", "Band Face Pull", "Scapular Retractions"]),
+    ex("Pull-ups", "pull", "back", "gym", ["pullup_bar"], ["Lat Pulldown", "Assisted Pull-ups", "Band Pull-down"]),
+    ex("Lat Pulldown", "pull", "back", "gym", ["cable"], ["Pull-ups", "Band Pull-down", "One-arm Cable Pulldown"]),
+    ex("Barbell Row", "pull", "back", "gym", ["barbell"], ["Dumbbell Row", "Seated Cable Row", "Chest-Supported Row"]),
+    ex("Seated Cable Row", "pull", "back", "gym", ["cable"], ["Barbell Row", "Dumbbell Row", "Band Row"]),
+    ex("Dumbbell Row", "pull", "back", "gym", ["dumbbell"], ["Barbell Row", "Cable Row", "Band Row"]),
+    ex("Face Pull", "pull", "rear_delts", "gym", ["cable"], ["Rear Delt Fly", "Band Face Pull", "High Row"]),
+    ex("Biceps Curl", "pull", "biceps", "gym", ["dumbbell"], ["Hammer Curl", "Cable Curl", "Band Curl"]),
+    ex("Hammer Curl", "pull", "biceps", "gym", ["dumbbell"], ["Biceps Curl", "Band Curl", "Incline DB Curl"]),
+    ex("Band Row", "pull", "back", "home", ["band"], ["One-arm DB Row", "Towel Row", "Band Lat Pulldown"]),
+    ex("Band Curl", "pull", "biceps", "home", ["band"], ["DB Curl", "Hammer Curl", "Isometric Curl Hold"]),
+    ex("Rear Delt Fly", "pull", "rear_delts", "home", ["dumbbell"], ["Band Face Pull", "Reverse Snow Angels", "Band Pull-aparts"]),
+    ex("Band Pull-aparts", "pull", "rear_delts", "home", ["band"], ["Rear Delt Fly", "Band Face Pull", "Scapular Retractions"]),
+    ex("Towel Row", "pull", "back", "home", [], ["Band Row", "Dumbbell Row", "Reverse Snow Angels"]),
+    ex("Reverse Snow Angels", "pull", "rear_delts", "home", [], ["Band Pull-aparts", "Rear Delt Fly", "Scapular Retractions"]),
 
     // LEGS (quads/hamstrings/glutes/calves)
-    ex("Back Squat", "legs", "quads", "gym", ["Front Squat", "Leg Press", "Goblet Squat"]),
-    ex("Leg Press", "legs", "quads", "gym", ["Back Squat", "Goblet Squat", "Hack Squat"]),
-    ex("Romanian Deadlift", "legs", "hamstrings", "gym", ["Hip Hinge DB", "Good Morning", "Hamstring Curl"]),
-    ex("Hamstring Curl", "legs", "hamstrings", "gym", ["Romanian Deadlift", "Glute Bridge", "Nordic Curl (assisted)"]),
-    ex("Walking Lunges", "legs", "glutes", "gym", ["Split Squat", "Step-ups", "Reverse Lunge"]),
-    ex("Calf Raise", "legs", "calves", "gym", ["Seated Calf Raise", "Single-leg Calf Raise", "Calf Raise (stairs)"]),
-    ex("Goblet Squat", "legs", "quads", "home", ["Bodyweight Squat", "Split Squat", "Tempo Squat"]),
-    ex("Split Squat", "legs", "glutes", "home", ["Reverse Lunge", "Step-ups", "Walking Lunges"]),
-    ex("Glute Bridge", "legs", "glutes", "home", ["Hip Thrust", "Single-leg Bridge", "RDL DB"]),
-    ex("Bodyweight Squat", "legs", "quads", "home", ["Tempo Squat", "Jump Squat", "Goblet Squat"]),
-    ex("Single-leg Calf Raise", "legs", "calves", "home", ["Calf Raise (stairs)", "Seated Calf Raise", "Calf Raise"]),
+    ex("Back Squat", "legs", "quads", "gym", ["barbell"], ["Front Squat", "Leg Press", "Goblet Squat"]),
+    ex("Leg Press", "legs", "quads", "gym", ["machine"], ["Back Squat", "Goblet Squat", "Hack Squat"]),
+    ex("Romanian Deadlift", "legs", "hamstrings", "gym", ["barbell"], ["Hip Hinge DB", "Good Morning", "Hamstring Curl"]),
+    ex("Hamstring Curl", "legs", "hamstrings", "gym", ["machine"], ["Romanian Deadlift", "Glute Bridge", "Nordic Curl (assisted)"]),
+    ex("Walking Lunges", "legs", "glutes", "gym", [], ["Split Squat", "Step-ups", "Reverse Lunge"]),
+    ex("Calf Raise", "legs", "calves", "gym", ["machine"], ["Seated Calf Raise", "Single-leg Calf Raise", "Calf Raise (stairs)"]),
+    ex("Goblet Squat", "legs", "quads", "home", ["dumbbell"], ["Bodyweight Squat", "Split Squat", "Tempo Squat"]),
+    ex("Split Squat", "legs", "glutes", "home", [], ["Reverse Lunge", "Step-ups", "Walking Lunges"]),
+    ex("Glute Bridge", "legs", "glutes", "home", [], ["Hip Thrust", "Single-leg Bridge", "RDL DB"]),
+    ex("Bodyweight Squat", "legs", "quads", "home", [], ["Tempo Squat", "Jump Squat", "Goblet Squat"]),
+    ex("Single-leg Calf Raise", "legs", "calves", "home", [], ["Calf Raise (stairs)", "Seated Calf Raise", "Calf Raise"]),
 
     // CORE
-    ex("Plank", "core", "core", "home", ["Side Plank", "Dead Bug", "Hollow Hold"]),
-    ex("Dead Bug", "core", "core", "home", ["Plank", "Bird Dog", "Hollow Hold"]),
-    ex("Hanging Knee Raise", "core", "core", "gym", ["Cable Crunch", "Reverse Crunch", "Plank"]),
-    ex("Cable Crunch", "core", "core", "gym", ["Hanging Knee Raise", "Ab Wheel", "Reverse Crunch"]),
-    ex("Russian Twist", "core", "core", "home", ["Bicycle Crunch", "Dead Bug", "Side Plank"])
+    ex("Plank", "core", "core", "home", [], ["Side Plank", "Dead Bug", "Hollow Hold"]),
+    ex("Dead Bug", "core", "core", "home", [], ["Plank", "Bird Dog", "Hollow Hold"]),
+    ex("Hanging Knee Raise", "core", "core", "gym", ["pullup_bar"], ["Cable Crunch", "Reverse Crunch", "Plank"]),
+    ex("Cable Crunch", "core", "core", "gym", ["cable"], ["Hanging Knee Raise", "Ab Wheel", "Reverse Crunch"]),
+    ex("Russian Twist", "core", "core", "home", [], ["Bicycle Crunch", "Dead Bug", "Side Plank"])
   ];
 
-  function ex(name, category, muscle, env, alts = []) {
-    return { id: uid(), name, category, muscle, env, alts };
+  function ex(name, category, muscle, env, equipment = [], alts = [], id = slugify(name)) {
+    // id is permanent: when renaming, pass the original slug as id and list
+    // the old name in EX_NAME_ALIASES so older data still resolves.
+    alts.forEach(a => { if (!KNOWN_NAMES.has(slugify(a))) KNOWN_NAMES.set(slugify(a), a); });
+    return { id, name, category, muscle, env, equipment, alts: alts.map(slugify) };
+  }
+
+  /* =========================
+     Exercise identity
+     - ids are slugs of the original name ("barbell-bench-press")
+     - programs, history and alternatives reference exercises by id
+  ========================= */
+  function slugify(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+  }
+
+  // Former display names -> current id (add an entry whenever an exercise is renamed)
+  const EX_NAME_ALIASES = {};
+
+  const EX_BY_ID = new Map(EX.map(e => [e.id, e]));
+  EX.forEach(e => KNOWN_NAMES.set(e.id, e.name));
+  let CUSTOM_BY_ID = new Map(); // filled from state.customExercises by syncCustomExercises()
+
+  function exerciseById(id) {
+    return EX_BY_ID.get(id) || CUSTOM_BY_ID.get(id) || null;
+  }
+
+  function allExercises() {
+    // Built-in library followed by the user's own exercises
+    return [...EX, ...CUSTOM_BY_ID.values()];
+  }
+
+  function exerciseName(id) {
+    // Library name, else the name an alternative was listed under
+    return exerciseById(id)?.name || KNOWN_NAMES.get(id) || id;
+  }
+
+  function displayName(rec) {
+    // Stored records keep their name as a fallback; the library name wins
+    return exerciseById(rec.exId)?.name || rec.name;
+  }
+
+  function resolveExerciseId(nameOrId) {
+    if (!nameOrId) return null;
+    if (exerciseById(nameOrId)) return nameOrId;
+    const alias = EX_NAME_ALIASES[nameOrId];
+    if (alias) return alias;
+    const slug = slugify(nameOrId);
+    return exerciseById(slug) ? slug : null;
+  }
+
+  /* =========================
+     Equipment
+     - each exercise lists what it requires (empty = bodyweight)
+     - gym mode owns everything; home mode owns what the "equip" field says
+  ========================= */
+  const EQUIPMENT_LABEL = {
+    barbell: "Barbell",
+    dumbbell: "Dumbbells",
+    band: "Bands",
+    cable: "Cable",
+    machine: "Machine",
+    bench: "Bench",
+    pullup_bar: "Pull-up bar",
+    dip_bars: "Dip bars",
+  };
+
+  const HOME_EQUIPMENT = {
+    bodyweight: [],
+    db: ["dumbbell"],
+    bands: ["band"],
+    db_bands: ["dumbbell", "band"],
+  };
+
+  function ownedEquipment(profile) {
+    if (!profile || profile.mode === "gym") return Object.keys(EQUIPMENT_LABEL);
+    return HOME_EQUIPMENT[profile.equip] || [];
+  }
+
+  function canPerform(e, owned) {
+    return (e.equipment || []).every(q => owned.includes(q));
+  }
+
+  function equipmentLabel(e) {
+    return e.equipment?.length ? e.equipment.map(q => EQUIPMENT_LABEL[q] || q).join(", ") : "No equipment";
   }
 
   const CATEGORY_LABEL = {
@@ -261,6 +724,260 @@
     core: "Core",
   };
 
+  /* =========================
+     Movement Patterns & Limitations
+     - every exercise has a movement pattern, primary and secondary muscles,
+       and a stress map: body region -> 1 (loads it) or 2 (loads it heavily);
+       the stress map holds the contraindications
+     - profile.limitations: [{ region, severity, avoid: [pattern] }]
+     - severe excludes anything touching the region, moderate excludes heavy
+       stress and modifies the rest, mild only modifies heavy stress
+  ========================= */
+  const PATTERN_LABEL = {
+    horizontal_push: "Horizontal push",
+    vertical_push: "Vertical push",
+    horizontal_pull: "Horizontal pull",
+    vertical_pull: "Vertical pull",
+    squat: "Squat",
+    hinge: "Hinge",
+    lunge: "Lunge / single-leg",
+    carry: "Carry",
+    anti_extension: "Anti-extension",
+    trunk_flexion: "Trunk flexion",
+    rotation: "Rotation",
+    chest_fly: "Chest fly",
+    shoulder_isolation: "Shoulder raise / fly",
+    elbow_flexion: "Curl",
+    elbow_extension: "Triceps extension",
+    knee_flexion: "Leg curl",
+    plantar_flexion: "Calf raise",
+  };
+
+  const REGION_LABEL = {
+    neck: "Neck",
+    shoulder: "Shoulder",
+    elbow: "Elbow",
+    wrist: "Wrist",
+    lower_back: "Lower back",
+    hip: "Hip",
+    knee: "Knee",
+    ankle: "Ankle",
+  };
+
+  const SEVERITY_RULES = {
+    // excludeAt / modifyAt: stress level that triggers it; loadPct for modified lifts
+    mild: { label: "Mild", excludeAt: Infinity, modifyAt: 2, loadPct: 0.9 },
+    moderate: { label: "Moderate", excludeAt: 2, modifyAt: 1, loadPct: 0.8 },
+    severe: { label: "Severe", excludeAt: 1, modifyAt: Infinity, loadPct: 1 },
+  };
+
+  const EX_META = {
+    "barbell-bench-press": ["horizontal_push", ["chest"], ["triceps", "shoulders"], { shoulder: 2, elbow: 1, wrist: 1 }],
+    "dumbbell-bench-press": ["horizontal_push", ["chest"], ["triceps", "shoulders"], { shoulder: 1, elbow: 1, wrist: 1 }],
+    "machine-chest-press": ["horizontal_push", ["chest"], ["triceps", "shoulders"], { shoulder: 1, elbow: 1 }],
+    "incline-dumbbell-press": ["horizontal_push", ["chest", "shoulders"], ["triceps"], { shoulder: 2, elbow: 1, wrist: 1 }],
+    "cable-fly": ["chest_fly", ["chest"], ["shoulders"], { shoulder: 1 }],
+    "overhead-press": ["vertical_push", ["shoulders"], ["triceps", "core"], { shoulder: 2, lower_back: 1, elbow: 1, wrist: 1 }],
+    "lateral-raise": ["shoulder_isolation", ["shoulders"], [], { shoulder: 1 }],
+    "triceps-pushdown": ["elbow_extension", ["triceps"], [], { elbow: 1 }],
+    "dips": ["vertical_push", ["triceps", "chest"], ["shoulders"], { shoulder: 2, elbow: 2, wrist: 1 }],
+    "push-ups": ["horizontal_push", ["chest"], ["triceps", "shoulders", "core"], { shoulder: 1, elbow: 1, wrist: 2 }],
+    "pike-push-ups": ["vertical_push", ["shoulders"], ["triceps"], { shoulder: 2, wrist: 2, neck: 1 }],
+    "band-overhead-press": ["vertical_push", ["shoulders"], ["triceps"], { shoulder: 1 }],
+    "diamond-push-ups": ["horizontal_push", ["triceps"], ["chest", "shoulders"], { shoulder: 1, elbow: 2, wrist: 2 }],
+    "pull-ups": ["vertical_pull", ["back"], ["biceps", "rear_delts"], { shoulder: 2, elbow: 2 }],
+    "lat-pulldown": ["vertical_pull", ["back"], ["biceps"], { shoulder: 2, elbow: 1 }],
+    "barbell-row": ["horizontal_pull", ["back"], ["rear_delts", "biceps", "hamstrings"], { lower_back: 2, shoulder: 1, elbow: 1 }],
+    "seated-cable-row": ["horizontal_pull", ["back"], ["rear_delts", "biceps"], { lower_back: 1, elbow: 1 }],
+    "dumbbell-row": ["horizontal_pull", ["back"], ["rear_delts", "biceps"], { lower_back: 1, elbow: 1 }],
+    "face-pull": ["shoulder_isolation", ["rear_delts"], ["back"], { shoulder: 1 }],
+    "biceps-curl": ["elbow_flexion", ["biceps"], [], { elbow: 1, wrist: 1 }],
+    "hammer-curl": ["elbow_flexion", ["biceps"], [], { elbow: 1 }],
+    "band-row": ["horizontal_pull", ["back"], ["rear_delts", "biceps"], { elbow: 1 }],
+    "band-curl": ["elbow_flexion", ["biceps"], [], { elbow: 1 }],
+    "rear-delt-fly": ["shoulder_isolation", ["rear_delts"], ["back"], { shoulder: 1, lower_back: 1 }],
+    "band-pull-aparts": ["shoulder_isolation", ["rear_delts"], ["back"], { shoulder: 1 }],
+    "towel-row": ["horizontal_pull", ["back"], ["biceps", "rear_delts"], { lower_back: 1, elbow: 1 }],
+    "reverse-snow-angels": ["shoulder_isolation", ["rear_delts"], ["back"], { shoulder: 1, neck: 1 }],
+    "back-squat": ["squat", ["quads", "glutes"], ["hamstrings", "core"], { knee: 2, lower_back: 2, hip: 1, shoulder: 1 }],
+    "leg-press": ["squat", ["quads"], ["glutes"], { knee: 2, hip: 1, lower_back: 1 }],
+    "romanian-deadlift": ["hinge", ["hamstrings", "glutes"], ["back"], { lower_back: 2, hip: 1 }],
+    "hamstring-curl": ["knee_flexion", ["hamstrings"], [], { knee: 1 }],
+    "walking-lunges": ["lunge", ["glutes", "quads"], ["hamstrings"], { knee: 2, hip: 1, ankle: 1 }],
+    "calf-raise": ["plantar_flexion", ["calves"], [], { ankle: 1 }],
+    "goblet-squat": ["squat", ["quads"], ["glutes", "core"], { knee: 2, hip: 1, lower_back: 1 }],
+    "split-squat": ["lunge", ["glutes", "quads"], ["hamstrings"], { knee: 2, hip: 1 }],
+    "glute-bridge": ["hinge", ["glutes"], ["hamstrings"], { hip: 1 }],
+    "bodyweight-squat": ["squat", ["quads"], ["glutes"], { knee: 1, hip: 1 }],
+    "single-leg-calf-raise": ["plantar_flexion", ["calves"], [], { ankle: 1 }],
+    "plank": ["anti_extension", ["core"], ["shoulders"], { shoulder: 1, lower_back: 1 }],
+    "dead-bug": ["anti_extension", ["core"], [], {}],
+    "hanging-knee-raise": ["trunk_flexion", ["core"], [], { shoulder: 1, lower_back: 1 }],
+    "cable-crunch": ["trunk_flexion", ["core"], [], { lower_back: 1, neck: 1 }],
+    "russian-twist": ["rotation", ["core"], [], { lower_back: 2 }],
+  };
+  EX.forEach(e => {
+    const [pattern, primary, secondary, stress] = EX_META[e.id] || [null, [e.muscle], [], {}];
+    Object.assign(e, { pattern, primary, secondary, stress });
+  });
+
+  function checkLimitations(e, limitations = []) {
+    // { action: "ok" | "modify" | "exclude", reasons: [text], loadPct }
+    let action = "ok";
+    let loadPct = 1;
+    const reasons = [];
+    (limitations || []).forEach(l => {
+      const rule = SEVERITY_RULES[l.severity] || SEVERITY_RULES.moderate;
+      const where = `${REGION_LABEL[l.region] || l.region} (${rule.label.toLowerCase()})`;
+      const stress = e.stress?.[l.region] || 0;
+      if (e.pattern && (l.avoid || []).includes(e.pattern)) {
+        action = "exclude";
+        reasons.push(`${PATTERN_LABEL[e.pattern]} is on the avoid list for ${where}`);
+      } else if (stress >= rule.excludeAt) {
+        action = "exclude";
+        reasons.push(`${stress >= 2 ? "heavy" : "some"} ${where.toLowerCase()} stress`);
+      } else if (stress >= rule.modifyAt) {
+        if (action !== "exclude") action = "modify";
+        loadPct = Math.min(loadPct, rule.loadPct);
+        reasons.push(`${where}: ~${Math.round(rule.loadPct * 100)}% load, pain-free range`);
+      }
+    });
+    return { action, reasons, loadPct };
+  }
+
+  function limitationSubstitute(e, limitations, owned) {
+    // Listed alternatives first, then the same pattern, then the same category
+    const ok = (x) => x && x.id !== e.id && canPerform(x, owned) && checkLimitations(x, limitations).action !== "exclude";
+    return e.alts.map(exerciseById).find(ok)
+      || allExercises().find(x => x.pattern && x.pattern === e.pattern && ok(x))
+      || allExercises().find(x => x.category === e.category && ok(x))
+      || null;
+  }
+
+  function limitationReport(program = state.program) {
+    // What the limitations changed: excluded library exercises (with a safe
+    // substitute) and modified exercises in the plan
+    const limitations = program?.profile?.limitations || [];
+    if (!limitations.length) return { excluded: [], modified: [] };
+    const owned = ownedEquipment(program.profile);
+    const excluded = allExercises()
+      .filter(e => canPerform(e, owned))
+      .map(e => ({ e, check: checkLimitations(e, limitations) }))
+      .filter(r => r.check.action === "exclude")
+      .map(({ e, check }) => ({ name: e.name, reasons: check.reasons, substitute: limitationSubstitute(e, limitations, owned)?.name || null }));
+    const seen = new Set();
+    const modified = [];
+    program.week.forEach(d => d.exercises.forEach(x => {
+      if (!x.prescription.limitNote || seen.has(x.exId)) return;
+      seen.add(x.exId);
+      modified.push({ name: x.name, reasons: [x.prescription.limitNote] });
+    }));
+    return { excluded, modified };
+  }
+
+  function applyLimitations(exObj, limitations) {
+    // Writes the modification (if any) into the prescription; see sessionPrescription
+    const e = exerciseById(exObj.exId) || exObj;
+    const check = checkLimitations(e, limitations);
+    const pr = exObj.prescription;
+    delete pr.limitLoadPct;
+    delete pr.limitNote;
+    if (check.action === "modify") {
+      pr.limitLoadPct = check.loadPct;
+      pr.limitNote = check.reasons.join("; ");
+    }
+    return exObj;
+  }
+
+  function legacyLimitations(text) {
+    // Structured limitations for the old free-text keywords
+    const t = String(text || "").toLowerCase();
+    const out = [];
+    if (t.includes("shoulder") || t.includes("overhead")) {
+      out.push({ region: "shoulder", severity: t.includes("shoulder") ? "moderate" : "mild", avoid: t.includes("overhead") ? ["vertical_push"] : [] });
+    }
+    if (t.includes("knee")) out.push({ region: "knee", severity: "moderate", avoid: [] });
+    // "back" alone also appears in exercise names ("back squat") and upper-back
+    // notes, so only clear lower-back wording keeps the old moderate rule
+    const back = t.replace(/\b(back squats?|upper back|back extensions?|back off)\b/g, "");
+    if (/\b(lower back|low back|back (pain|injury|issues?|problems?)|bad back|disc|sciatica)\b/.test(back)) {
+      out.push({ region: "lower_back", severity: "moderate", avoid: [] });
+    } else if (/\bback\b/.test(back)) {
+      out.push({ region: "lower_back", severity: "mild", avoid: [] });
+    }
+    return out;
+  }
+
+  /* =========================
+     Weekly Volume
+     - a hard set counts once for each primary muscle and half for each secondary
+     - weekly targets scale with level and goal; small muscles need fewer
+       direct sets because compounds already reach them
+  ========================= */
+  const MUSCLE_LABEL = {
+    chest: "Chest",
+    back: "Back",
+    shoulders: "Shoulders",
+    rear_delts: "Rear delts",
+    biceps: "Biceps",
+    triceps: "Triceps",
+    quads: "Quads",
+    hamstrings: "Hamstrings",
+    glutes: "Glutes",
+    calves: "Calves",
+    core: "Core",
+  };
+
+  const WEEKLY_SETS_BY_LEVEL = { beginner: 8, intermediate: 12, advanced: 16 };
+  const WEEKLY_SETS_GOAL_SCALE = { hypertrophy: 1, recomp: 0.85, strength: 0.75, fatloss: 0.7 };
+  const MUSCLE_TARGET_SHARE = {
+    chest: 1, back: 1, quads: 1,
+    shoulders: 0.75, hamstrings: 0.75, glutes: 0.75,
+    rear_delts: 0.5, biceps: 0.5, triceps: 0.5, calves: 0.5, core: 0.5,
+  };
+
+  function weeklySetTargets({ level, goal }) {
+    // { muscle: hard sets per week }
+    const base = (WEEKLY_SETS_BY_LEVEL[level] || 12) * (WEEKLY_SETS_GOAL_SCALE[goal] || 1);
+    const out = {};
+    Object.keys(MUSCLE_LABEL).forEach(m => { out[m] = Math.max(2, Math.round(base * MUSCLE_TARGET_SHARE[m])); });
+    return out;
+  }
+
+  function muscleLabel(m) {
+    return MUSCLE_LABEL[m] || m;
+  }
+
+  function exerciseMuscles(exObj) {
+    // Library muscles, else the single muscle stored on the program entry
+    const e = exerciseById(exObj.exId);
+    return { primary: e?.primary?.length ? e.primary : [exObj.muscle], secondary: e?.secondary || [] };
+  }
+
+  function weeklyMuscleSets(days, setsOf = x => x.prescription.sets) {
+    // { muscle: hard sets } across the given days
+    const out = {};
+    days.forEach(d => d.exercises.forEach(x => {
+      const sets = setsOf(x) || 0;
+      const { primary, secondary } = exerciseMuscles(x);
+      primary.forEach(m => { out[m] = (out[m] || 0) + sets; });
+      secondary.forEach(m => { out[m] = (out[m] || 0) + sets / 2; });
+    }));
+    return out;
+  }
+
+  function sessionSetBudget(minutes) {
+    // Hard sets that fit one session, rests included
+    return Math.round(Number(minutes) / 2.5);
+  }
+
+  function volumeSummary(program) {
+    // ["Chest 10/12", …] for the base week
+    const targets = weeklySetTargets(program.profile);
+    const done = weeklyMuscleSets(program.week);
+    return Object.keys(MUSCLE_LABEL).map(m => `${MUSCLE_LABEL[m]} ${round(done[m] || 0, 1)}/${targets[m]}`);
+  }
+
   /* =========================
      Rule-based Generator (Option 1)
      Inputs -> Split -> Days -> Exercises -> Prescription
@@ -310,54 +1027,45 @@
     return ["Push", "Pull", "Legs"];
   }
 
-  function pickExercises({ mode, dayLabel, minutes, goal, level, limits }) {
-    // Filter allowed environment
-    const envAllowed = mode === "gym" ? ["gym", "home"] : ["home", "gym"]; // home can still include simple gym ones if needed
-    const pool = EX.filter(e => envAllowed.includes(e.env));
-
-    // Safety / limit-based exclusions (simple keyword rules)
-    const lim = (limits || "").toLowerCase();
-    const avoidOverhead = lim.includes("shoulder") || lim.includes("overhead");
-    const avoidKnee = lim.includes("knee");
-    const avoidBack = lim.includes("back");
+  function dayCategories(dayLabel) {
+    // Library categories a day label trains
+    const s = dayLabel.toLowerCase();
+    const isFull = s.includes("full body");
+    const isUpper = s.includes("upper");
+    const isLower = s.includes("lower");
+    const isPush = s.includes("push") || s.includes("chest") || s.includes("shoulders") || s.includes("arms");
+    const isPull = s.includes("pull") || s.includes("back");
+    const isLegs = s.includes("legs") || s.includes("lower");
+
+    if (isFull) return ["legs", "push", "pull", "core"];
+    if (isUpper) return ["push", "pull", "core"];
+    if (isLower) return ["legs", "core"];
+    if (isPush) return ["push", "core"];
+    if (isPull) return ["pull", "core"];
+    if (isLegs) return ["legs", "core"];
+    return ["push", "pull", "legs", "core"];
+  }
 
-    function safe(e) {
-      const n = e.name.toLowerCase();
-      if (avoidOverhead && (n.includes("overhead press") || n.includes("shoulder press"))) return false;
-      if (avoidKnee && (n.includes("squat") || n.includes("lunge") || n.includes("leg press"))) return false;
-      if (avoidBack && (n.includes("deadlift") || n.includes("row") || n.includes("good morning") || n.includes("back squat"))) return false;
-      return true;
-    }
+  function pickExercises({ mode, equip, dayLabel, minutes, goal, level, limitations, rng }) {
+    // Only movements the user can do with what they own
+    const owned = ownedEquipment({ mode, equip });
+    const pool = allExercises().filter(e => canPerform(e, owned));
 
-    const safePool = pool.filter(safe);
+    // Limitations: contraindicated exercises never enter the pool
+    const safePool = pool.filter(e => checkLimitations(e, limitations).action !== "exclude");
 
     // Determine session size based on minutes
     const baseCount = minutes <= 20 ? 4 : minutes <= 30 ? 5 : minutes <= 45 ? 6 : 7;
 
-    // Full-body day composition
-    const isFull = dayLabel.toLowerCase().includes("full body");
-    const isUpper = dayLabel.toLowerCase().includes("upper");
-    const isLower = dayLabel.toLowerCase().includes("lower");
-    const isPush = dayLabel.toLowerCase().includes("push") || dayLabel.toLowerCase().includes("chest") || dayLabel.toLowerCase().includes("shoulders") || dayLabel.toLowerCase().includes("arms");
-    const isPull = dayLabel.toLowerCase().includes("pull") || dayLabel.toLowerCase().includes("back");
-    const isLegs = dayLabel.toLowerCase().includes("legs") || dayLabel.toLowerCase().includes("lower");
-
-    // category targets
-    let targets = [];
-    if (isFull) targets = ["legs", "push", "pull", "core"];
-    else if (isUpper) targets = ["push", "pull", "core"];
-    else if (isLower) targets = ["legs", "core"];
-    else if (isPush) targets = ["push", "core"];
-    else if (isPull) targets = ["pull", "core"];
-    else if (isLegs) targets = ["legs", "core"];
-    else targets = ["push", "pull", "legs", "core"];
+    // Category targets for this day
+    const targets = dayCategories(dayLabel);
 
     // Build using weighted selection (avoid duplicates; ensure variety)
     const chosen = [];
-    const usedNames = new Set();
+    const usedIds = new Set();
 
     function chooseFromCategory(cat) {
-      const candidates = safePool.filter(e => e.category === cat && !usedNames.has(e.name));
+      const candidates = safePool.filter(e => e.category === cat && !usedIds.has(e.id));
       if (!candidates.length) return null;
 
       // Preference rules:
@@ -394,7 +1102,7 @@
 
       // pick weighted random
       const sum = weighted.reduce((a, x) => a + x.w, 0);
-      let r = Math.random() * sum;
+      let r = rng() * sum;
       for (const it of weighted) {
         r -= it.w;
         if (r <= 0) return it.e;
@@ -402,13 +1110,19 @@
       return weighted[weighted.length - 1].e;
     }
 
-    // Fill plan using target cycles
-    while (chosen.length < baseCount) {
-      const cat = targets[chosen.length % targets.length];
+    // Fill plan using target cycles; skip categories the equipment can't cover
+    let turn = 0;
+    let misses = 0;
+    while (chosen.length < baseCount && misses < targets.length) {
+      const cat = targets[turn % targets.length];
+      turn++;
+      // One core exercise per day; the rest of the session goes to the main lifts
+      if (cat === "core" && chosen.some(x => x.category === "core") && targets.length > 1) continue;
       const pick = chooseFromCategory(cat);
-      if (!pick) break;
+      if (!pick) { misses++; continue; }
+      misses = 0;
       chosen.push(pick);
-      usedNames.add(pick.name);
+      usedIds.add(pick.id);
     }
 
     // Ensure at least 1 core if time allows
@@ -420,14 +1134,26 @@
     return chosen.slice(0, baseCount);
   }
 
-  function prescribeSetsReps({ goal, level, minutes, tone, mode, exerciseName }) {
+  // Heavy multi-joint lifts: spared by readiness set cuts, ramped by warm-up sets.
+  // Classified by movement pattern (band-only work is never heavy); the name
+  // test is only for custom exercises saved without a pattern.
+  const COMPOUND_PATTERNS = ["horizontal_push", "vertical_push", "horizontal_pull", "vertical_pull", "squat", "hinge", "lunge"];
+  const COMPOUND_RE = /bench|squat|deadlift|row|pull-up|chin-up|press|lunge/i;
+
+  function isCompound(e) {
+    // Library entries carry their pattern; program entries look it up by exId
+    const lib = exerciseById(e.exId ?? e.id);
+    const pattern = e.pattern ?? lib?.pattern;
+    const equipment = lib?.equipment ?? e.equipment ?? [];
+    if (equipment.length && equipment.every(q => q === "band")) return false;
+    return pattern ? COMPOUND_PATTERNS.includes(pattern) : COMPOUND_RE.test(e.name);
+  }
+
+  function prescribeSetsReps({ goal, level, minutes, tone, mode, exercise }) {
     // Rule-based prescription with slight “AI feel”
-    // Returns { sets, reps, rest, tempo, rpeHint }
-    const n = exerciseName.toLowerCase();
-    const isCompound = (
-      n.includes("bench") || n.includes("squat") || n.includes("deadlift") || n.includes("row") ||
-      n.includes("pull-up") || n.includes("press") || n.includes("leg press") || n.includes("lunge")
-    );
+    // Returns { sets, reps, rest, tempo, rpeHint, progression, repSpan, targetRpe }
+    const n = exercise.name.toLowerCase();
+    const compound = isCompound(exercise); // same test as warm-ups and Today adaptation
 
     // Base sets by time and tone
     let sets = minutes <= 20 ? 2 : minutes <= 30 ? 3 : 3;
@@ -436,7 +1162,7 @@
 
     // Level adjustments
     if (level === "beginner") sets = Math.max(2, sets - 1);
-    if (level === "advanced") sets += isCompound ? 1 : 0;
+    if (level === "advanced") sets += compound ? 1 : 0;
 
     // Goal adjustments
     let reps = 10;
@@ -445,23 +1171,23 @@
     let rpeHint = "Leave 1–2 reps in reserve";
 
     if (goal === "strength") {
-      reps = isCompound ? 5 : 8;
-      rest = isCompound ? 150 : 90;
+      reps = compound ? 5 : 8;
+      rest = compound ? 150 : 90;
       tempo = "2-0-1";
       rpeHint = "Heavy but clean form (RPE 7–8)";
     } else if (goal === "hypertrophy") {
-      reps = isCompound ? 8 : 12;
-      rest = isCompound ? 105 : 75;
+      reps = compound ? 8 : 12;
+      rest = compound ? 105 : 75;
       tempo = "2-0-2";
       rpeHint = "Control the negative, chase pump (RPE 7–9)";
     } else if (goal === "fatloss") {
-      reps = isCompound ? 10 : 14;
-      rest = isCompound ? 75 : 45;
+      reps = compound ? 10 : 14;
+      rest = compound ? 75 : 45;
       tempo = "2-0-2";
       rpeHint = "Move with intent, keep rest tight";
     } else if (goal === "recomp") {
-      reps = isCompound ? 8 : 12;
-      rest = isCompound ? 90 : 60;
+      reps = compound ? 8 : 12;
+      rest = compound ? 90 : 60;
       tempo = "2-0-2";
       rpeHint = "Progress slowly, recover well";
     }
@@ -484,73 +1210,34 @@
     reps = clamp(reps, 4, 20);
     rest = clamp(rest, 25, 180);
 
-    return { sets, reps, rest, tempo, rpeHint };
+    // Progression model: how the engine moves load/reps after each logged session
+    const progression = chooseProgressionScheme({ goal, level, compound });
+    const repSpan = progression === "linear" ? 0 : progression === "rpe" ? 2 : 4;
+    const targetRpe = goal === "strength" || goal === "hypertrophy" ? 8 : 7.5;
+
+    return { sets, reps, rest, tempo, rpeHint, progression, repSpan, targetRpe: level === "beginner" ? targetRpe - 0.5 : targetRpe };
   }
 
-  function makeProgram(profile) {
-    const days = Number(profile.days);
+  function makeProgram(profile, { seed = newSeed() } = {}) {
+    // Pure in profile + seed (and the exercise library, custom entries included):
+    // no scores or other state shape the plan. Readiness adapts the day's
+    // session on Today (see todayAdjustments) and never rewrites the plan.
+    // tests/generator.test.js snapshots a few profile/seed pairs.
+    const rng = mulberry32(seed);
     const split = chooseSplit(profile);
-    const weekTemplate = buildWeekTemplate(split, days);
-
-    // Option 2: smart adaptation uses scoring to slightly scale volume/intensity
-    const adaptOn = profile.smartAdapt;
-    const { fatigue, recovery, performance } = state.scoring;
+    const weekTemplate = buildWeekTemplate(split, Number(profile.days));
 
-    // scale:
-    // - if fatigue high or recovery low -> reduce sets by 1 on some accessories
-    // - if performance high and recovery high -> slightly increase reps or sets
-    let globalSetDelta = 0;
-    let globalRepDelta = 0;
-
-    if (adaptOn) {
-      const readiness = computeReadinessScore({ fatigue, recovery, performance });
-      if (readiness < 42) { globalSetDelta = -1; globalRepDelta = -1; }
-      else if (readiness > 70) { globalSetDelta = +0; globalRepDelta = +1; }
-      else { globalSetDelta = 0; globalRepDelta = 0; }
-    }
-
-    const week = weekTemplate.map((label, idx) => {
+    const days = weekTemplate.map((label, idx) => {
       const exercises = pickExercises({
         mode: profile.mode,
+        equip: profile.equip,
         dayLabel: label,
         minutes: Number(profile.minutes),
         goal: profile.goal,
         level: profile.level,
-        limits: profile.limits
-      }).map((e) => {
-        const p = prescribeSetsReps({
-          goal: profile.goal,
-          level: profile.level,
-          minutes: Number(profile.minutes),
-          tone: profile.tone,
-          mode: profile.mode,
-          exerciseName: e.name
-        });
-
-        // Apply smart delta carefully: compounds less affected
-        const isCompound = /bench|squat|deadlift|row|pull|press|leg press|lunge/i.test(e.name);
-        let sets = p.sets;
-        let reps = p.reps;
-
-        if (adaptOn) {
-          if (!isCompound) sets = clamp(sets + globalSetDelta, 2, 6);
-          reps = clamp(reps + globalRepDelta, 4, 20);
-        }
-
-        return {
-          exId: e.id,
-          name: e.name,
-          category: e.category,
-          muscle: e.muscle,
-          env: e.env,
-          alts: e.alts,
-          prescription: { sets, reps, rest: p.rest, tempo: p.tempo, rpeHint: p.rpeHint },
-          // performance tracking fields (user can edit during workout)
-          workingWeight: "", // user can type
-          completedSets: 0,
-          notes: ""
-        };
-      });
+        limitations: profile.limitations,
+        rng
+      }).map((e) => planExercise(e, profile));
 
       // Day meta
       const focus = deriveFocusLabel(label);
@@ -559,15 +1246,25 @@
         index: idx,
         label,
         focus,
-        exercises
+        exercises,
+        groups: []
       };
     });
 
+    // Top up under-trained muscles before sets are shared out to groups
+    fillVolumeTargets(days, profile, { rng });
+    const week = days.map(day => groupExercises(day, profile));
+
     const program = {
       id: uid(),
+      name: defaultProgramName({ profile: { ...profile, split } }),
       createdAt: new Date().toISOString(),
+      revision: 1, // bumped by structural edits; history records which one was trained
+      archived: false,
+      seed,
       profile: { ...profile, split },
       week,
+      block: buildBlock(profile),
       meta: {
         split,
         version: 1,
@@ -577,6 +1274,108 @@
     return program;
   }
 
+  function planExercise(e, profile) {
+    // Library exercise -> program entry with a fresh prescription
+    const p = prescribeSetsReps({
+      goal: profile.goal,
+      level: profile.level,
+      minutes: Number(profile.minutes),
+      tone: profile.tone,
+      mode: profile.mode,
+      exercise: e
+    });
+
+    const { sets, reps } = p;
+
+    return applyLimitations({
+      exId: e.id,
+      name: e.name,
+      category: e.category,
+      muscle: e.muscle,
+      env: e.env,
+      equipment: e.equipment,
+      alts: e.alts,
+      prescription: {
+        sets,
+        reps,
+        rest: p.rest,
+        tempo: p.tempo,
+        rpeHint: p.rpeHint,
+        progression: p.progression,
+        repRange: [reps, clamp(reps + p.repSpan, reps, 20)],
+        targetRpe: p.targetRpe,
+        load: null, // set by auto progression once sets are logged
+        loadUnit: null // set with the load; the plan itself doesn't depend on the unit setting
+      },
+      // performance tracking fields (user can edit during workout)
+      workingWeight: "", // default load for the next logged set
+      loggedSets: [], // [{ reps, load, unit, rpe, at }] for the session in progress
+      notes: ""
+    }, profile.limitations);
+  }
+
+  function fillVolumeTargets(days, profile, { rng }) {
+    // Raise muscles below their weekly target, biggest gap first, inside each
+    // session's set budget: add a set to an exercise that trains the muscle,
+    // else add an exercise for it, else move a set over from a muscle that is
+    // already past its target. Stops once nothing more fits.
+    const targets = weeklySetTargets(profile);
+    const budget = sessionSetBudget(profile.minutes);
+    const maxSets = profile.level === "advanced" ? 5 : 4;
+    const owned = ownedEquipment(profile);
+    const daySets = d => d.exercises.reduce((a, x) => a + x.prescription.sets, 0);
+    const trains = (x, m) => exerciseMuscles(x).primary.includes(m);
+
+    function addSet(m, done) {
+      const options = [];
+      days.forEach(d => d.exercises.forEach(x => {
+        if (!trains(x, m) || x.prescription.sets >= maxSets) return;
+        if (daySets(d) < budget) return options.push({ x, donor: null });
+        // Day is full: take a set from an exercise whose muscles are all past target
+        const donor = d.exercises.find(y => y !== x && y.prescription.sets > 2 && !trains(y, m) &&
+          exerciseMuscles(y).primary.every(pm => (done[pm] || 0) - 1 >= (targets[pm] || 0)));
+        if (donor) options.push({ x, donor });
+      }));
+      if (!options.length) return false;
+      // Spread the work: fewest sets first, free slots before swaps
+      options.sort((a, b) => (a.donor ? 1 : 0) - (b.donor ? 1 : 0) || a.x.prescription.sets - b.x.prescription.sets);
+      const { x, donor } = options[0];
+      x.prescription.sets += 1;
+      if (donor) donor.prescription.sets -= 1;
+      return true;
+    }
+
+    function addExercise(m) {
+      const pool = allExercises().filter(e =>
+        (e.primary || [e.muscle]).includes(m) && canPerform(e, owned) &&
+        checkLimitations(e, profile.limitations).action !== "exclude");
+      // Isolation work first: it adds the muscle without piling on fatigue
+      const isolation = pool.filter(e => !isCompound(e));
+      const candidates = isolation.length ? isolation : pool;
+      const open = days
+        .filter(d => budget - daySets(d) >= 2)
+        .sort((a, b) => daySets(a) - daySets(b));
+      for (const d of open) {
+        const fits = candidates.filter(e => dayCategories(d.label).includes(e.category) && !d.exercises.some(x => x.exId === e.id));
+        if (!fits.length) continue;
+        const planned = planExercise(fits[Math.floor(rng() * fits.length)], profile);
+        planned.prescription.sets = Math.min(planned.prescription.sets, budget - daySets(d));
+        d.exercises.push(planned);
+        return true;
+      }
+      return false;
+    }
+
+    for (let guard = 0; guard < 200; guard++) {
+      const done = weeklyMuscleSets(days);
+      const gaps = Object.keys(targets)
+        .map(m => ({ m, gap: targets[m] - (done[m] || 0) }))
+        .filter(g => g.gap >= 1)
+        .sort((a, b) => b.gap - a.gap);
+      if (!gaps.some(({ m }) => addSet(m, done) || addExercise(m))) break;
+    }
+  }
+
   function deriveFocusLabel(dayLabel) {
     const s = dayLabel.toLowerCase();
     if (s.includes("push") || s.includes("chest") || s.includes("shoulder") || s.includes("arms")) return "Push";
@@ -589,142 +1388,1423 @@
   }
 
   /* =========================
-     Smart Scoring (Option 2)
+     Exercise Groups (supersets, circuits, giant sets)
+     - day.groups: [{ id, kind, rounds, rest }]; members carry exObj.group = id
+     - members sit next to each other, share the group's rounds as their sets,
+       and rest only after the last member of each round
   ========================= */
-  function computeReadinessScore({ fatigue, recovery, performance }) {
-    // Weighted blend; fatigue reduces readiness.
-    const raw = (recovery * 0.45) + (performance * 0.35) + ((100 - fatigue) * 0.20);
-    return clamp(Math.round(raw), 0, 100);
+  const GROUP_KIND_LABEL = {
+    superset: "Superset",
+    circuit: "Circuit",
+    giant: "Giant set",
+  };
+
+  function groupKind(members) {
+    if (members.length === 2) return "superset";
+    return members.every(x => x.category === members[0].category) ? "giant" : "circuit";
   }
 
-  function updateScoringAfterWorkout({ sessionRating, completedPct, intensity }) {
-    // sessionRating: 1..5 subjective
-    // completedPct: 0..1
-    // intensity: "easy" | "normal" | "hard"
-    let { fatigue, recovery, performance } = state.scoring;
+  function dayGroup(day, exObj) {
+    return exObj.group ? (day.groups || []).find(g => g.id === exObj.group) || null : null;
+  }
+
+  function normalizeGroups(day) {
+    // Keep members adjacent, drop groups of one, re-letter A, B, C… in day order
+    const known = new Map((day.groups || []).map(g => [g.id, g]));
+    day.exercises.forEach(x => { if (x.group && !known.has(x.group)) x.group = null; });
 
-    const ratingBoost = (sessionRating - 3) * 3; // -6..+6
-    const completionBoost = (completedPct - 0.75) * 20; // around -15..+5 typical
-    const intensityMod = intensity === "hard" ? 8 : intensity === "easy" ? -4 : 2;
+    const ordered = [];
+    day.exercises.forEach(x => {
+      if (ordered.includes(x)) return;
+      ordered.push(...(x.group ? day.exercises.filter(y => y.group === x.group) : [x]));
+    });
+    day.exercises = ordered;
+
+    const groups = [];
+    ordered.forEach(x => {
+      if (!x.group || groups.some(g => g.from === x.group)) return;
+      const members = ordered.filter(y => y.group === x.group);
+      if (members.length < 2) { x.group = null; return; }
+      groups.push({ ...known.get(x.group), from: x.group, kind: groupKind(members), members });
+    });
 
-    // fatigue goes up with hard sessions and high completion
-    fatigue = clamp(fatigue + intensityMod + (completedPct * 6) - (sessionRating >= 4 ? 2 : 0), 0, 100);
+    day.groups = groups.map((g, i) => {
+      const id = String.fromCharCode(65 + i);
+      g.members.forEach(x => {
+        x.group = id;
+        x.prescription.sets = g.rounds; // shared rounds
+      });
+      return { id, kind: g.kind, rounds: g.rounds, rest: g.rest };
+    });
+    return day;
+  }
 
-    // recovery drops after workout; recovers over days (handled elsewhere)
-    recovery = clamp(recovery - (10 + (intensity === "hard" ? 6 : 3)) + (sessionRating >= 4 ? 2 : 0), 0, 100);
+  function makeGroup(members) {
+    return {
+      id: uid(), // replaced by a letter in normalizeGroups
+      kind: groupKind(members),
+      rounds: Math.max(...members.map(x => x.prescription.sets)),
+      rest: Math.max(...members.map(x => x.prescription.rest)),
+    };
+  }
 
-    // performance increases if you complete well and rated session ok
-    performance = clamp(performance + ratingBoost + completionBoost, 0, 100);
+  function groupExercises(day, profile) {
+    // Generator: antagonist push/pull supersets when time is short or the goal
+    // is fat loss; fat loss also runs the leftover accessories as one circuit
+    const short = Number(profile.minutes) <= 30;
+    if (!short && profile.goal !== "fatloss") return normalizeGroups(day);
+
+    const free = (cat) => day.exercises.filter(x => x.category === cat && !x.group);
+    const groups = [];
+    let push, pull;
+    while ((push = free("push")[0]) && (pull = free("pull")[0])) {
+      const g = makeGroup([push, pull]);
+      push.group = pull.group = g.id;
+      groups.push(g);
+    }
 
-    state.scoring.fatigue = fatigue;
-    state.scoring.recovery = recovery;
-    state.scoring.performance = performance;
-    state.scoring.lastUpdated = new Date().toISOString();
+    if (profile.goal === "fatloss") {
+      // heavy barbell lifts keep their own sets and full rest
+      const rest = day.exercises.filter(x => !x.group && !/barbell|squat|deadlift/i.test(x.name));
+      if (rest.length >= 3) {
+        const g = makeGroup(rest);
+        g.rest = clamp(g.rest + 30, 60, 150); // a full lap earns a longer break
+        rest.forEach(x => { x.group = g.id; });
+        groups.push(g);
+      }
+    }
 
-    // Deload suggestion logic (very simple week counter)
-    // Increase week counter after a full "week" of sessions roughly
-    // We'll just bump occasionally based on number of logs.
-    const logs = state.history.length;
-    if (logs % 4 === 0) state.scoring.weekCounter = (state.scoring.weekCounter || 1) + 1;
+    day.groups = groups;
+    return normalizeGroups(day);
+  }
 
-    maybeSuggestDeload();
+  function groupLabels(exercises) {
+    // idx -> "A1", "A2"… for grouped exercises; "" otherwise
+    const seen = {};
+    return exercises.map(x => x.group ? `${x.group}${(seen[x.group] = (seen[x.group] || 0) + 1)}` : "");
   }
 
-  function recoverOverTime() {
-    // Called on load / daily
-    const last = state.scoring.lastUpdated ? new Date(state.scoring.lastUpdated) : null;
-    const now = new Date();
-    if (!last) return;
+  function describeGroup(group) {
+    return `${GROUP_KIND_LABEL[group.kind] || "Group"} ${group.id}: ${group.rounds} rounds • ${group.rest}s rest after each round`;
+  }
 
-    const days = Math.floor((now - last) / (1000 * 60 * 60 * 24));
-    if (days <= 0) return;
+  function restAfter(day, exObj) {
+    // Rest once the exercise's set (or the group's round) is done
+    return dayGroup(day, exObj)?.rest ?? exObj.prescription.rest;
+  }
 
-    // each rest day: fatigue down, recovery up, performance slight stabilization
-    const decayFatigue = 5 * days;
-    const gainRecovery = 9 * days;
+  function exerciseBlockRange(list, i) {
+    // [first, last] index of the block (group or single exercise) holding list[i]
+    let a = i;
+    let b = i;
+    const g = list[i].group;
+    if (g) {
+      while (a > 0 && list[a - 1].group === g) a--;
+      while (b < list.length - 1 && list[b + 1].group === g) b++;
+    }
+    return [a, b];
+  }
 
-    state.scoring.fatigue = clamp(state.scoring.fatigue - decayFatigue, 0, 100);
-    state.scoring.recovery = clamp(state.scoring.recovery + gainRecovery, 0, 100);
+  function moveExercise(day, xi, by) {
+    // Inside a group members swap; otherwise whole blocks trade places
+    const list = day.exercises;
+    const j = xi + by;
+    if (j < 0 || j >= list.length) return;
+    if (list[xi].group && list[xi].group === list[j].group) {
+      [list[xi], list[j]] = [list[j], list[xi]];
+      return;
+    }
+    const [first, second] = by < 0
+      ? [exerciseBlockRange(list, j), exerciseBlockRange(list, xi)]
+      : [exerciseBlockRange(list, xi), exerciseBlockRange(list, j)];
+    list.splice(first[0], second[1] - first[0] + 1,
+      ...list.slice(second[0], second[1] + 1),
+      ...list.slice(first[0], first[1] + 1));
+  }
 
-    // performance drifts toward 55 baseline slowly
-    const baseline = 55;
-    const p = state.scoring.performance;
-    const drift = Math.sign(baseline - p) * Math.min(Math.abs(baseline - p), 2 * days);
-    state.scoring.performance = clamp(p + drift, 0, 100);
+  function linkWithNext(day, xi) {
+    // Joins the exercise (or its group) with the block that follows it
+    const list = day.exercises;
+    const [, b] = exerciseBlockRange(list, xi);
+    const next = list[b + 1];
+    if (!next) return;
+    const x = list[xi];
+    day.groups = day.groups || [];
+
+    if (!x.group) {
+      const g = next.group ? dayGroup(day, next) : makeGroup([x, next]);
+      if (!next.group) { next.group = g.id; day.groups.push(g); }
+      x.group = g.id;
+    } else {
+      const from = next.group;
+      list.forEach(y => { if (y === next || (from && y.group === from)) y.group = x.group; });
+    }
+    normalizeGroups(day);
   }
 
-  function maybeSuggestDeload() {
-    const on = state.profile?.autoDeload;
-    if (!on) return;
+  function unlinkExercise(day, xi) {
+    day.exercises[xi].group = null;
+    normalizeGroups(day);
+  }
 
-    const wk = state.scoring.weekCounter || 1;
-    const last = state.scoring.deloadSuggestedAtWeek;
+  /* =========================
+     Periodization (mesocycle blocks)
+     - a program is a 4–8 week block; the last week is always a deload
+     - each week carries modifiers applied on top of the base prescription:
+       setScale (volume), repDelta, loadPct + rpeShift (intensity)
+  ========================= */
+  const PERIODIZATION_LABEL = {
+    linear: "Linear",
+    undulating: "Undulating",
+    block: "Block",
+  };
 
-    // Suggest around week 5-6 if fatigue high
-    const ready = computeReadinessScore(state.scoring);
-    const fatigueHigh = state.scoring.fatigue >= 65;
-    const should = (wk >= 5 && (fatigueHigh || ready < 45));
+  const WEEK_PHASES = {
+    accumulation: { phase: "Accumulation", setScale: 1.25, repDelta: 2, loadPct: 0.92, rpeShift: -0.5 },
+    volume: { phase: "Volume", setScale: 1.25, repDelta: 2, loadPct: 0.92, rpeShift: -0.5 },
+    moderate: { phase: "Moderate", setScale: 1, repDelta: 0, loadPct: 1, rpeShift: 0 },
+    intensity: { phase: "Intensity", setScale: 0.85, repDelta: -2, loadPct: 1.05, rpeShift: 0.5 },
+    realization: { phase: "Realization", setScale: 0.8, repDelta: -2, loadPct: 1.07, rpeShift: 1 },
+    deload: { phase: "Deload", setScale: 0.6, repDelta: 0, loadPct: 0.9, rpeShift: -2, deload: true },
+  };
 
-    if (should && last !== wk) {
-      state.scoring.deloadSuggestedAtWeek = wk;
-      toast("Deload Suggestion", "Your fatigue is high. Consider a lighter week (reduce volume 30–40%).", 4200);
-    }
+  function choosePeriodization({ periodization, level }) {
+    if (periodization && periodization !== "auto") return periodization;
+    if (level === "beginner") return "linear";
+    if (level === "intermediate") return "undulating";
+    return "block";
   }
 
-  function buildAdviceText() {
-    if (!state.program) return "Create a plan to get adaptive recommendations.";
+  function buildBlock(profile) {
+    const weeks = clamp(Number(profile.blockWeeks) || 6, 4, 8);
+    const scheme = choosePeriodization(profile);
+    const training = weeks - 1; // last week is the deload
 
-    const s = state.scoring;
-    const ready = computeReadinessScore(s);
+    const plan = Array.from({ length: training }, (_, i) => {
+      const t = training > 1 ? i / (training - 1) : 0;
+      if (scheme === "undulating") {
+        return { ...[WEEK_PHASES.volume, WEEK_PHASES.intensity, WEEK_PHASES.moderate][i % 3] };
+      }
+      if (scheme === "block") {
+        return { ...(t < 0.4 ? WEEK_PHASES.accumulation : t < 0.75 ? WEEK_PHASES.moderate : WEEK_PHASES.realization) };
+      }
+      // linear: volume tapers while load and effort climb
+      return {
+        phase: t < 0.5 ? "Build" : "Peak",
+        setScale: round(1.1 - 0.25 * t, 2),
+        repDelta: -Math.round(2 * t),
+        loadPct: round(0.95 + 0.1 * t, 3),
+        rpeShift: round(Math.round(2 * t) / 2, 1),
+      };
+    });
+    plan.push({ ...WEEK_PHASES.deload });
 
-    if (ready >= 75) return "You’re fresh. Push performance today: add 1 rep on accessories or small weight increase.";
-    if (ready >= 58) return "Solid readiness. Train normally and focus on clean reps and consistent rest.";
-    if (ready >= 42) return "Caution: slightly tired. Keep form strict. Reduce 1 set on accessories if needed.";
-    return "Low readiness: prioritize recovery. Consider a deload-style session (lighter weights, fewer sets).";
+    return {
+      weeks,
+      scheme,
+      plan: plan.map((w, i) => ({ week: i + 1, deload: false, ...w }))
+    };
   }
 
-  /* =========================
-     Auto Progression (Option 1 add-on)
-     - after logging, suggest next targets
-  ========================= */
-  function suggestProgressionForExercise(ex) {
-    // ex: exercise object inside today workout; reads completedSets + notes
-    // We produce a small suggestion text.
-    const sets = ex.prescription.sets;
-    const done = ex.completedSets || 0;
-    const completion = done / sets;
-
-    // Very simple:
-    // - if >= 1.0 -> progress
-    // - if 0.7-0.99 -> maintain
-    // - else -> regress slightly
-    if (completion >= 1.0) return "Next time: add +1 rep (or small weight).";
-    if (completion >= 0.75) return "Next time: keep same target, aim to finish all sets.";
-    return "Next time: reduce target slightly or increase rest to hit quality reps.";
+  function programBlock(program = state.program) {
+    // Programs saved before blocks existed behave as a single 4-week linear block
+    if (!program.block) program.block = buildBlock({ ...program.profile, blockWeeks: 4, periodization: "linear" });
+    return program.block;
   }
 
-  /* =========================
-     Rendering
-  ========================= */
-  function setTheme(theme) {
-    state.theme = theme;
-    document.documentElement.setAttribute("data-theme", theme === "light" ? "light" : "dark");
+  function programSessionCount(program = state.program) {
+    return state.history.filter(h => h.programId === program.id).length;
   }
 
-  function routeTo(view) {
-    $$(".view").forEach(v => v.classList.remove("active"));
-    $(`#view-${view}`).classList.add("active");
+  function currentBlockWeek(program = state.program) {
+    return blockPositionAt(program, programSessionCount(program));
+  }
 
-    $$(".navItem").forEach(b => b.classList.toggle("active", b.dataset.view === view));
-    $$(".bNav").forEach(b => b.classList.toggle("active", b.dataset.view === view));
+  function blockPositionAt(program, sessions) {
+    // Week position is derived from logged sessions: every <days> logs = one week
+    const block = programBlock(program);
+    const perWeek = Math.max(1, program.week.length);
+    const absolute = Math.floor(sessions / perWeek);
+    const index = absolute % block.weeks;
+    return {
+      absolute,
+      cycle: Math.floor(absolute / block.weeks) + 1,
+      week: index + 1,
+      weeks: block.weeks,
+      info: block.plan[index]
+    };
+  }
 
-    // render certain views on demand
-    if (view === "today") renderToday();
-    if (view === "history") renderHistory();
-    if (view === "library") renderLibrary();
-    if (view === "settings") renderSettings();
-    if (view === "dashboard") renderDashboard();
-    if (view === "generator") renderProgramOutput();
+  function blockWeekLabel(pos = currentBlockWeek()) {
+    const cycle = pos.cycle > 1 ? ` (block ${pos.cycle})` : "";
+    return `Week ${pos.week} of ${pos.weeks}${cycle} • ${pos.info.phase}`;
+  }
+
+  function sessionPrescription(exObj, info = currentBlockWeek().info) {
+    // Base prescription adjusted by the week's volume/intensity modifiers
+    const pr = exObj.prescription;
+    const [repMin, repMax] = pr.repRange || [pr.reps, pr.reps];
+    const reps = clamp(pr.reps + info.repDelta, 3, 25);
+    const loadPct = info.loadPct * (pr.limitLoadPct || 1); // limitations scale load too
+    return {
+      ...pr,
+      sets: clamp(Math.round(pr.sets * info.setScale), 1, 8),
+      reps,
+      repRange: [clamp(repMin + info.repDelta, 3, 25), clamp(repMax + info.repDelta, 3, 25)],
+      load: pr.load == null ? null : roundToLoadable(exObj, pr.load * loadPct, pr.loadUnit || state.settings.units),
+      targetRpe: pr.targetRpe == null ? null : clamp(pr.targetRpe + info.rpeShift, 5, 10),
+      loadPct,
+      repDelta: info.repDelta,
+      deload: !!info.deload
+    };
+  }
+
+  /* =========================
+     Calendar Schedule
+     - settings.trainingDays are the weekdays the user trains; with none picked,
+       Prev/Next choose the session by hand as before and the calendar only
+       projects the plan onto default weekdays for the program's days per week
+     - missedRule "shift": sessions run in order, a missed one is done on the next training day
+     - missedRule "skip": sessions are pinned to the calendar, a missed one is dropped
+     - weeks start on settings.startWeek; all dates are local
+  ========================= */
+  const WEEKDAY_LABEL = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+  function scheduleOn() {
+    return !!state.program && state.settings.trainingDays?.length > 0;
+  }
+
+  // Days per week -> weekdays, spread out with rest between where possible
+  const DEFAULT_TRAINING_DAYS = {
+    1: [1],
+    2: [1, 4],
+    3: [1, 3, 5],
+    4: [1, 2, 4, 5],
+    5: [1, 2, 3, 4, 5],
+    6: [1, 2, 3, 4, 5, 6],
+    7: [0, 1, 2, 3, 4, 5, 6],
+  };
+
+  function calendarTrainingDays() {
+    // Picked weekdays, else the default spread for the program's days per week
+    if (scheduleOn()) return state.settings.trainingDays;
+    const n = clamp(Number(state.program?.profile?.days) || state.program?.week.length || 3, 1, 7);
+    return DEFAULT_TRAINING_DAYS[n];
+  }
+
+  function orderedWeekdays(startWeek = state.settings.startWeek) {
+    const first = startWeek === "sun" ? 0 : 1;
+    return Array.from({ length: 7 }, (_, i) => (first + i) % 7);
+  }
+
+  function isTrainingDate(date, days = state.settings.trainingDays) {
+    return days.includes(new Date(`${date}T00:00:00`).getDay());
+  }
+
+  function nextTrainingDate(after) {
+    for (let i = 1; i <= 7; i++) {
+      const d = addDaysISO(after, i);
+      if (isTrainingDate(d)) return d;
+    }
+    return null;
+  }
+
+  function historyDayIndex(log, program) {
+    if (Number.isInteger(log.dayIndex)) return log.dayIndex;
+    // Older logs only stored the day label
+    return Math.max(0, program.week.findIndex(d => d.label === log.dayLabel));
+  }
+
+  function scheduledDayIndex(date) {
+    const program = state.program;
+    const n = program.week.length;
+
+    if (state.settings.missedRule === "skip") {
+      // The k-th training day since the program's first week gets day k
+      let k = 0;
+      for (let d = weekStartISO(dateISO(new Date(program.createdAt))); d < date; d = addDaysISO(d, 1)) {
+        if (isTrainingDate(d)) k++;
+      }
+      return k % n;
+    }
+
+    const done = state.history.filter(h => h.programId === program.id);
+    const last = done[done.length - 1];
+    if (!last) return 0;
+    const idx = historyDayIndex(last, program) % n;
+    return last.date >= date ? idx : (idx + 1) % n;
+  }
+
+  function syncTodayWithCalendar() {
+    // Resolve the session once per date; Prev/Next override it for the rest of that day.
+    // Runs on boot, on navigation and when the app comes back into view, never
+    // from render functions. Returns true when today's session changed.
+    if (!scheduleOn()) return false;
+    const today = todayISO();
+    if (state.schedule.date === today) return false;
+    state.todayIndex = scheduledDayIndex(today);
+    state.schedule = { date: today, trainAnyway: false };
+    state._dirty = true;
+    saveState();
+    return true;
+  }
+
+  function isRestDayToday() {
+    return scheduleOn() && !state.schedule.trainAnyway && !isTrainingDate(todayISO());
+  }
+
+  function nextScheduledSession() {
+    const date = nextTrainingDate(todayISO());
+    if (!date) return null;
+    const idx = state.settings.missedRule === "skip" ? scheduledDayIndex(date) : state.todayIndex;
+    return { date, day: state.program.week[idx] };
+  }
+
+  function plannedSessions(from, to) {
+    // Upcoming sessions in [from, to] with their projected block week; without
+    // picked weekdays they run in order on the default spread
+    if (!state.program) return [];
+    const program = state.program;
+    const days = calendarTrainingDays();
+    const pinned = scheduleOn() && state.settings.missedRule === "skip";
+    const today = todayISO();
+    const loggedToday = state.history.some(h => h.programId === program.id && h.date === today);
+    let sessions = programSessionCount(program);
+    let idx = loggedToday ? (state.todayIndex + 1) % program.week.length : state.todayIndex;
+    const out = [];
+
+    for (let d = today > from ? today : from; d <= to; d = addDaysISO(d, 1)) {
+      if (!isTrainingDate(d, days) || (d === today && loggedToday)) continue;
+      const dayIndex = pinned ? scheduledDayIndex(d) : idx;
+      out.push({ date: d, dayIndex, day: program.week[dayIndex], pos: blockPositionAt(program, sessions) });
+      idx = (dayIndex + 1) % program.week.length;
+      sessions++;
+    }
+    return out;
+  }
+
+  function describeNextSession() {
+    const next = nextScheduledSession();
+    if (!next) return "No training days picked.";
+    return `Next: ${next.day.label} on ${WEEKDAY_LABEL[new Date(`${next.date}T00:00:00`).getDay()]} ${next.date}`;
+  }
+
+  /* =========================
+     Smart Scoring (Option 2)
+     Training load model
+     - session load = session RPE × minutes, in arbitrary units (AU)
+     - acute (7-day) and chronic (28-day) loads are exponentially weighted
+       daily averages; ACWR = acute / chronic
+     - fatigue follows ACWR, recovery the residual of the last few sessions,
+       performance the chronic load (fitness) plus how sessions went
+     - state.scoring is only a cache of the model; rebuild it from history anytime
+  ========================= */
+  const ACUTE_DAYS = 7;
+  const CHRONIC_DAYS = 28;
+  const RESIDUAL_HALF_LIFE = 1.5; // days for one session's fatigue to halve
+  const INTENSITY_SRPE = { easy: 4, normal: 6, hard: 8 };
+
+  const ACWR_BANDS = [
+    { max: 0.8, key: "low", label: "Under-loaded", advice: "Training load is well below your usual — build back up over a week or two instead of jumping straight to full volume." },
+    { max: 1.3, key: "ok", label: "Sweet spot", advice: "" },
+    { max: 1.5, key: "caution", label: "Ramping up", advice: "Load is climbing faster than your base — hold volume steady this week." },
+    { max: Infinity, key: "spike", label: "Spike", advice: "Load spike: recent work is far above what you're used to. Cut volume until it settles." },
+  ];
+
+  function computeReadinessScore({ fatigue, recovery, performance }) {
+    // Weighted blend; fatigue reduces readiness.
+    const raw = (recovery * 0.45) + (performance * 0.35) + ((100 - fatigue) * 0.20);
+    return clamp(Math.round(raw), 0, 100);
+  }
+
+  function acwrBand(acwr) {
+    return ACWR_BANDS.find(b => acwr < b.max) || ACWR_BANDS[ACWR_BANDS.length - 1];
+  }
+
+  function sessionRpe(log) {
+    // Mean logged set RPE when there is one, else the "how hard" answer
+    const rpes = (log.exercises || []).flatMap(x => (x.sets || []).map(set => set.rpe)).filter(r => r != null);
+    return rpes.length ? rpes.reduce((a, r) => a + r, 0) / rpes.length : (INTENSITY_SRPE[log.intensity] || INTENSITY_SRPE.normal);
+  }
+
+  function sessionMinutes(log) {
+    // Logged duration, else the plan's session length scaled by completion
+    if (log.durationMin) return log.durationMin;
+    const planned = state.programs.find(p => p.id === log.programId)?.profile?.minutes || state.profile?.minutes || 45;
+    return Math.round(Number(planned) * clamp(log.completedPct ?? 1, 0.25, 1));
+  }
+
+  function sessionLoad(log) {
+    return Math.round(sessionRpe(log) * sessionMinutes(log));
+  }
+
+  function expectedDailyLoad(profile) {
+    // Daily average the plan asks for at normal effort; seeds the model
+    const days = Number(profile?.days) || 3;
+    const minutes = Number(profile?.minutes) || 45;
+    return (days * minutes * INTENSITY_SRPE.normal) / 7;
+  }
+
+  function scoresFromLoad(m) {
+    const acwr = m.acute / Math.max(m.chronic, m.expected * 0.25);
+    return {
+      fatigue: clamp(Math.round((acwr - 0.4) * 80), 0, 100),
+      recovery: clamp(Math.round(100 - 60 * m.residual), 0, 100),
+      performance: clamp(Math.round(30 + 40 * Math.min(m.chronic / m.expected, 1.5) + m.form), 0, 100),
+      acute: Math.round(m.acute),
+      chronic: Math.round(m.chronic),
+      acwr: round(acwr, 2)
+    };
+  }
+
+  function loadModel(history = state.history, { profile = state.program?.profile || state.profile, until = todayISO() } = {}) {
+    // Replays the log day by day up to `until`.
+    // Returns { ...scores, series: [{ x, acute, chronic, acwr, load }], before: Map(logId -> scores) }
+    const expected = expectedDailyLoad(profile);
+    const perSession = (Number(profile?.minutes) || 45) * INTENSITY_SRPE.normal;
+    const m = { acute: expected, chronic: expected, residual: 0, form: 0, expected };
+    const byDate = new Map();
+    history.forEach(log => byDate.set(log.date, [...(byDate.get(log.date) || []), log]));
+    const series = [];
+    const before = new Map();
+    const la = 2 / (ACUTE_DAYS + 1);
+    const lc = 2 / (CHRONIC_DAYS + 1);
+    const decay = Math.pow(0.5, 1 / RESIDUAL_HALF_LIFE);
+
+    // No logs yet: the seeds stand (training as planned, fully recovered)
+    const first = history.reduce((a, log) => (log.date < a ? log.date : a), until);
+    for (let d = first; history.length && d <= until; d = addDaysISO(d, 1)) {
+      let dayLoad = 0;
+      (byDate.get(d) || []).forEach(log => {
+        before.set(log.id, scoresFromLoad(m));
+        const load = sessionLoad(log);
+        dayLoad += load;
+        m.residual += load / perSession;
+        // How sessions went: rating and completion, smoothed over recent sessions
+        const went = (((log.rating || 3) - 3) * 3) + (((log.completedPct ?? 0.75) - 0.75) * 20);
+        m.form = clamp(m.form + 0.3 * (went - m.form), -12, 12);
+      });
+      m.acute += la * (dayLoad - m.acute);
+      m.chronic += lc * (dayLoad - m.chronic);
+      series.push({ x: d, load: dayLoad, ...scoresFromLoad(m) });
+      if (d < until) m.residual *= decay;
+    }
+
+    return { ...scoresFromLoad(m), series, before };
+  }
+
+  function refreshScoring(model = loadModel()) {
+    // Brings state.scoring up to today from the model
+    const { series, before, ...scores } = model;
+    state.scoring = {
+      ...state.scoring,
+      ...scores,
+      lastUpdated: new Date().toISOString()
+    };
+    return model;
+  }
+
+  function updateScoringAfterWorkout() {
+    refreshScoring();
+    maybeSuggestDeload();
+  }
+
+  function rebuildScoringFromHistory() {
+    // Scores, each log's readiness and each check-in's, recomputed as if logged as it now reads
+    const model = refreshScoring();
+    state.history.forEach(log => {
+      const sc = model.before.get(log.id);
+      if (sc) log.readiness = computeReadinessScore(withCheckin(sc, checkinOn(log.date)));
+    });
+    (state.checkins || []).forEach(c => { c.readiness = checkinReadiness(c, model); });
+  }
+
+  function scoresOn(date, model = loadModel()) {
+    // Model scores at the end of `date`; before the first log the seeds stand
+    const day = model.series.find(p => p.x === date);
+    if (day) return day;
+    return date < (model.series[0]?.x ?? date) ? loadModel([]) : model;
+  }
+
+  function maybeSuggestDeload() {
+    const on = state.profile?.autoDeload;
+    if (!on || !state.program) return;
+
+    const pos = currentBlockWeek();
+    const key = `${state.program.id}:${pos.absolute}`;
+    if (state.scoring.deloadSuggestedAtWeek === key) return;
+
+    if (pos.info.deload) {
+      state.scoring.deloadSuggestedAtWeek = key;
+      toast("Deload Week", `Week ${pos.week} of ${pos.weeks} is your scheduled deload — sets and loads are reduced automatically.`, 4200);
+      return;
+    }
+
+    // Mid-block: flag an early deload on a load spike or when readiness bottoms out
+    const sc = currentScoring();
+    const ready = computeReadinessScore(sc);
+    const spike = acwrBand(sc.acwr).key === "spike";
+    if (pos.week >= 3 && (spike || ready < 45)) {
+      state.scoring.deloadSuggestedAtWeek = key;
+      toast("Deload Suggestion", spike
+        ? `Your recent load is ${sc.acwr}× your usual. Consider starting the deload week early (reduce volume 30–40%).`
+        : "Your readiness is low. Consider starting the deload week early (reduce volume 30–40%).", 4200);
+    }
+  }
+
+  function buildAdviceText() {
+    if (!state.program) return "Create a plan to get adaptive recommendations.";
+
+    const sc = currentScoring();
+    const ready = computeReadinessScore(sc);
+    const band = acwrBand(sc.acwr);
+    const checkin = checkinOn(todayISO());
+    const drag = limitingFactor(checkin);
+    const why = drag ? ` Main drag today: ${drag.label.toLowerCase()}.` : !checkin ? " Check in to factor in sleep, soreness and stress." : "";
+    const load = band.advice ? ` ${band.advice}` : "";
+
+    if (ready >= 75) return "You’re fresh. Push performance today: add 1 rep on accessories or small weight increase." + load + why;
+    if (ready >= 58) return "Solid readiness. Train normally and focus on clean reps and consistent rest." + load + why;
+    if (ready >= 42) return "Caution: slightly tired. Keep form strict. Reduce 1 set on accessories if needed." + load + why;
+    return "Low readiness: prioritize recovery. Consider a deload-style session (lighter weights, fewer sets)." + load + why;
+  }
+
+  /* =========================
+     Readiness Check-in
+     - optional pre-workout questionnaire, one per day in state.checkins
+     - each answer becomes a factor that nudges fatigue / recovery /
+       performance for that day only; the stored scores are not touched
+     - every check-in keeps the readiness it produced, for the trend
+  ========================= */
+  const SORENESS_REGIONS = {
+    chest: "Chest",
+    back: "Back",
+    shoulders: "Shoulders",
+    arms: "Arms",
+    legs: "Legs",
+    core: "Core",
+  };
+  const SORENESS_LABEL = ["None", "Mild", "Moderate", "Severe"];
+  const SCALE_LABEL = ["", "Very low", "Low", "Normal", "High", "Very high"];
+
+  function checkinOn(date) {
+    return (state.checkins || []).find(c => c.date === date) || null;
+  }
+
+  function restingHrBaseline(beforeDate) {
+    // Median of the last 14 readings before the date; needs 3 to mean anything
+    const hrs = (state.checkins || [])
+      .filter(c => c.date < beforeDate && c.restingHr)
+      .slice(-14)
+      .map(c => c.restingHr)
+      .sort((a, b) => a - b);
+    return hrs.length >= 3 ? hrs[Math.floor(hrs.length / 2)] : null;
+  }
+
+  function checkinFactors(c) {
+    // [{ key, label, fatigue, recovery, performance }] — deltas on the 0..100 scores
+    if (!c) return [];
+    const out = [];
+    const add = (key, label, d) => out.push({ key, label, fatigue: 0, recovery: 0, performance: 0, ...d });
+
+    if (c.sleepHours != null) {
+      if (c.sleepHours < 7) add("sleepHours", `Short sleep (${c.sleepHours} h)`, { recovery: -Math.min(24, Math.round((7 - c.sleepHours) * 6)) });
+      else if (c.sleepHours >= 8) add("sleepHours", `Long sleep (${c.sleepHours} h)`, { recovery: 3 });
+    }
+    if (c.sleepQuality && c.sleepQuality !== 3) {
+      add("sleepQuality", `${c.sleepQuality < 3 ? "Poor" : "Good"} sleep quality`, { recovery: (c.sleepQuality - 3) * 4 });
+    }
+    const sore = Object.entries(c.soreness || {}).filter(([, n]) => n > 0).sort((a, b) => b[1] - a[1]);
+    if (sore.length) {
+      const total = sore.reduce((a, [, n]) => a + n, 0);
+      const worst = sore[0][1];
+      add("soreness", `${SORENESS_LABEL[worst]} soreness (${sore.map(([r]) => SORENESS_REGIONS[r] || r).join(", ")})`, {
+        fatigue: Math.min(20, total * 3),
+        recovery: -(worst >= 3 ? 6 : 0)
+      });
+    }
+    if (c.stress && c.stress !== 3) {
+      add("stress", `${c.stress > 3 ? "High" : "Low"} stress`, { recovery: c.stress > 3 ? -(c.stress - 3) * 5 : (3 - c.stress) * 2 });
+    }
+    if (c.energy && c.energy !== 3) {
+      add("energy", `${c.energy < 3 ? "Low" : "High"} energy`, { recovery: (c.energy - 3) * 4, performance: (c.energy - 3) * 2 });
+    }
+    if (c.motivation && c.motivation !== 3) {
+      add("motivation", `${c.motivation < 3 ? "Low" : "High"} motivation`, { performance: (c.motivation - 3) * 3 });
+    }
+    const base = c.restingHr ? restingHrBaseline(c.date) : null;
+    if (base != null && c.restingHr - base >= 3) {
+      add("restingHr", `Resting HR up ${c.restingHr - base} bpm`, { recovery: -Math.min(15, (c.restingHr - base) * 2) });
+    }
+    return out;
+  }
+
+  function factorImpact(f) {
+    // Same weights as computeReadinessScore
+    return f.recovery * 0.45 + f.performance * 0.35 - f.fatigue * 0.20;
+  }
+
+  function withCheckin(sc, c) {
+    // Scores for a day with its check-in applied
+    const out = { ...sc };
+    checkinFactors(c).forEach(f => {
+      out.fatigue = clamp(out.fatigue + f.fatigue, 0, 100);
+      out.recovery = clamp(out.recovery + f.recovery, 0, 100);
+      out.performance = clamp(out.performance + f.performance, 0, 100);
+    });
+    return out;
+  }
+
+  function checkinReadiness(c, model = loadModel()) {
+    // Readiness that day: the load model's scores for the date with the check-in applied
+    return computeReadinessScore(withCheckin(scoresOn(c.date, model), c));
+  }
+
+  function currentScoring() {
+    // What every readiness decision reads: stored scores + today's check-in
+    return withCheckin(state.scoring, checkinOn(todayISO()));
+  }
+
+  function limitingFactor(c) {
+    // The answer costing the most readiness (at least 2 points), else null
+    const worst = checkinFactors(c).sort((a, b) => factorImpact(a) - factorImpact(b))[0];
+    return worst && factorImpact(worst) <= -2 ? worst : null;
+  }
+
+  function scaleSelect(id, value) {
+    return `
+      <select id="${id}">
+        ${[1, 2, 3, 4, 5].map(n => `<option value="${n}" ${n === value ? "selected" : ""}>${n} — ${SCALE_LABEL[n]}</option>`).join("")}
+      </select>
+    `;
+  }
+
+  function openCheckin() {
+    const date = todayISO();
+    const prev = checkinOn(date);
+    const v = prev || { sleepHours: 7.5, sleepQuality: 3, stress: 3, energy: 3, motivation: 3, restingHr: null, soreness: {} };
+
+    openModal({
+      title: prev ? "Edit Today's Check-in" : "Readiness Check-in",
+      bodyHTML: `
+        <div class="muted">How are you coming into today's session? Answers adjust today's readiness only.</div>
+        <div class="formGrid" style="margin-top:10px;">
+          <div class="field">
+            <label for="ciSleepHours">Sleep (hours)</label>
+            <input id="ciSleepHours" type="number" min="0" max="14" step="0.5" value="${v.sleepHours ?? ""}" />
+          </div>
+          <div class="field">
+            <label for="ciSleepQuality">Sleep quality</label>
+            ${scaleSelect("ciSleepQuality", v.sleepQuality)}
+          </div>
+          <div class="field">
+            <label for="ciStress">Stress</label>
+            ${scaleSelect("ciStress", v.stress)}
+          </div>
+          <div class="field">
+            <label for="ciEnergy">Energy</label>
+            ${scaleSelect("ciEnergy", v.energy)}
+          </div>
+          <div class="field">
+            <label for="ciMotivation">Motivation</label>
+            ${scaleSelect("ciMotivation", v.motivation)}
+          </div>
+          <div class="field">
+            <label for="ciRestingHr">Resting HR (bpm)</label>
+            <input id="ciRestingHr" type="number" min="30" max="120" step="1" value="${v.restingHr ?? ""}" placeholder="optional" />
+          </div>
+        </div>
+        <div class="field" style="margin-top:10px;">
+          <label>Soreness</label>
+          <div class="formGrid">
+            ${Object.entries(SORENESS_REGIONS).map(([k, label]) => `
+              <div class="field">
+                <label for="ciSore_${k}">${label}</label>
+                <select id="ciSore_${k}" data-sore="${k}">
+                  ${SORENESS_LABEL.map((l, n) => `<option value="${n}" ${(v.soreness[k] || 0) === n ? "selected" : ""}>${l}</option>`).join("")}
+                </select>
+              </div>
+            `).join("")}
+          </div>
+        </div>
+        <div class="help">Resting HR is compared with your own recent readings once there are three.</div>
+      `,
+      footHTML: `
+        <button class="btn ghost" id="ciCancel" type="button">Cancel</button>
+        <button class="btn" id="ciSave" type="button">Save Check-in</button>
+      `
+    });
+
+    $("#ciCancel").onclick = () => closeModal();
+    $("#ciSave").onclick = () => {
+      const num = (id) => { const n = parseFloat($(id).value); return Number.isFinite(n) ? n : null; };
+      const c = {
+        date,
+        at: new Date().toISOString(),
+        sleepHours: num("#ciSleepHours") == null ? null : clamp(num("#ciSleepHours"), 0, 14),
+        sleepQuality: Number($("#ciSleepQuality").value),
+        stress: Number($("#ciStress").value),
+        energy: Number($("#ciEnergy").value),
+        motivation: Number($("#ciMotivation").value),
+        restingHr: num("#ciRestingHr") == null ? null : Math.round(clamp(num("#ciRestingHr"), 30, 120)),
+        soreness: Object.fromEntries($$("#modalBody [data-sore]").map(el => [el.dataset.sore, Number(el.value)]).filter(([, n]) => n > 0))
+      };
+      c.readiness = checkinReadiness(c);
+      state.checkins = [...(state.checkins || []).filter(x => x.date !== date), c].sort((a, b) => a.date.localeCompare(b.date));
+
+      state._dirty = true;
+      saveState();
+      closeModal();
+      const drag = limitingFactor(c);
+      toast("Check-in saved", `Readiness today: ${c.readiness}${drag ? ` • held back by ${drag.label.toLowerCase()}` : ""}.`);
+      renderDashboard();
+      renderToday();
+    };
+  }
+
+  function renderCheckinTrend() {
+    const wrap = $("#checkinTrend");
+    const recent = (state.checkins || []).filter(c => c.date >= addDaysISO(todayISO(), -27));
+    if (!recent.length) {
+      wrap.innerHTML = `<div class="muted small">No check-ins yet. A 20-second check-in before training lets readiness account for sleep, soreness and stress.</div>`;
+      return;
+    }
+    // Derived on render: a log added, edited or deleted later moves the line too
+    const model = loadModel();
+    const last = recent[recent.length - 1];
+    const factors = checkinFactors(last).filter(f => factorImpact(f) !== 0);
+    wrap.innerHTML = `
+      <div class="muted small"><b>Readiness check-ins</b> • last 4 weeks</div>
+      ${svgLineChart([{ label: "Readiness", points: recent.map(c => ({ x: c.date, y: checkinReadiness(c, model) })) }], { height: 140 })}
+      <div class="muted small">
+        ${escapeHTML(last.date === todayISO() ? "Today" : last.date)}:
+        ${factors.length ? factors.map(f => `${escapeHTML(f.label)} (${factorImpact(f) > 0 ? "+" : ""}${round(factorImpact(f), 1)})`).join(" • ") : "nothing unusual"}
+      </div>
+    `;
+  }
+
+  /* =========================
+     Auto Progression (Option 1 add-on)
+     - reads each exercise's logged sets and computes the next target load/reps
+     - schemes: linear (add load every success), double (reps up to the top of
+       the range, then load), rpe (adjust load toward the target RPE)
+  ========================= */
+  const LOAD_INCREMENT = {
+    kg: { upper: 2.5, lower: 5 },
+    lb: { upper: 5, lower: 10 },
+  };
+  const RPE_LOAD_STEP = 0.04; // ~4% load per RPE point (≈ 1 rep in reserve)
+
+  const PROGRESSION_LABEL = {
+    linear: "Linear load",
+    double: "Double progression",
+    rpe: "RPE autoregulation",
+  };
+
+  function chooseProgressionScheme({ goal, level, compound }) {
+    if (level === "advanced") return "rpe";
+    if (goal === "strength" && compound) return "linear";
+    return "double";
+  }
+
+  function loadIncrement(exObj, unit = state.settings.units) {
+    const inc = LOAD_INCREMENT[unit] || LOAD_INCREMENT.kg;
+    return exObj.category === "legs" ? inc.lower : inc.upper;
+  }
+
+  function roundToIncrement(load, step) {
+    return round(Math.round(load / step) * step, 2);
+  }
+
+  function targetLoad(pr, unit = state.settings.units) {
+    if (pr.load == null) return null;
+    return round(convertLoad(pr.load, pr.loadUnit || unit, unit), 1);
+  }
+
+  function exerciseHistory(exObj) {
+    // Newest first: [{ date, sets }] for every logged session of this exercise
+    const out = [];
+    for (let i = state.history.length - 1; i >= 0; i--) {
+      const log = state.history[i];
+      const rec = (log.exercises || []).find(x => x.exId === exObj.exId);
+      if (rec?.sets?.length) out.push({ date: log.date, target: rec.target, sets: rec.sets });
+    }
+    return out;
+  }
+
+  function computeNextTarget(exObj, pr, sets, previous = []) {
+    // pr: the prescription the session was performed against (see sessionPrescription)
+    // sets: the session just performed; previous: older sessions (newest first)
+    const unit = state.settings.units;
+    const scheme = pr.progression || "double";
+    const [repMin, repMax] = pr.repRange || [pr.reps, pr.reps];
+    const inc = loadIncrement(exObj, unit);
+
+    if (!sets?.length) return { load: targetLoad(pr), reps: pr.reps, note: "No sets logged — target unchanged." };
+
+    const loads = sets.map(x => convertLoad(x.load, x.unit, unit)).filter(x => x != null);
+    const topLoad = loads.length ? Math.max(...loads) : null;
+    const minReps = Math.min(...sets.map(x => x.reps || 0));
+    const allSetsDone = sets.length >= pr.sets;
+    const hit = allSetsDone && minReps >= pr.reps;
+
+    // Bodyweight work: reps only
+    if (topLoad == null) {
+      if (allSetsDone && minReps >= repMax) return { load: null, reps: repMax, note: "Top of range on every set — slow the tempo or pick a harder variation." };
+      const reps = hit ? clamp(pr.reps + 1, repMin, repMax) : pr.reps;
+      return { load: null, reps, note: hit ? "All sets hit — +1 rep." : "Finish every set at the current target first." };
+    }
+
+    if (scheme === "linear") {
+      if (hit) return { load: round(topLoad + inc, 2), reps: pr.reps, note: `All sets hit — +${inc} ${unit}.` };
+      const prevMissed = previous[0] && Math.min(...previous[0].sets.map(x => x.reps || 0)) < (previous[0].target?.reps ?? pr.reps);
+      if (prevMissed) {
+        return { load: roundToIncrement(topLoad * 0.9, inc), reps: pr.reps, note: "Missed two sessions in a row — reset load by 10%." };
+      }
+      return { load: topLoad, reps: pr.reps, note: "Missed reps — repeat the load." };
+    }
+
+    if (scheme === "rpe") {
+      const rpes = sets.map(x => x.rpe).filter(x => x != null);
+      if (rpes.length) {
+        const avgRpe = rpes.reduce((a, x) => a + x, 0) / rpes.length;
+        const target = pr.targetRpe || 8;
+        const change = clamp((target - avgRpe) * RPE_LOAD_STEP, -0.1, 0.1);
+        const load = roundToIncrement(topLoad * (1 + change), inc);
+        const dir = load > topLoad ? "up" : load < topLoad ? "down" : "hold";
+        return {
+          load,
+          reps: pr.reps,
+          note: `Avg RPE ${round(avgRpe, 1)} vs target ${target} — load ${dir}.`
+        };
+      }
+      // No RPE logged: fall through to double progression
+    }
+
+    // Double progression: climb reps to the top of the range, then add load
+    if (allSetsDone && minReps >= repMax) {
+      return { load: round(topLoad + inc, 2), reps: repMin, note: `Top of range hit — +${inc} ${unit}, back to the bottom of the rep range.` };
+    }
+    if (hit) return { load: topLoad, reps: clamp(minReps + 1, repMin, repMax), note: "All sets hit — add a rep." };
+    return { load: topLoad, reps: pr.reps, note: "Stay at this target until every set is hit." };
+  }
+
+  function nextBaseTarget(exObj, pr = sessionPrescription(exObj)) {
+    // Engine output mapped back from this session's targets onto the base prescription
+    const base = exObj.prescription;
+    if (pr.deload) return { load: targetLoad(base), reps: base.reps, note: "Deload week — targets held." };
+
+    const next = computeNextTarget(exObj, pr, exObj.loggedSets || [], exerciseHistory(exObj));
+    const [repMin, repMax] = base.repRange || [base.reps, base.reps];
+    const load = next.load == null ? null : roundToLoadable(exObj, next.load / (pr.loadPct || 1));
+    return { load, reps: clamp(next.reps - (pr.repDelta || 0), repMin, repMax), note: next.note };
+  }
+
+  function applyProgressionAfterLog(day) {
+    // Writes next targets into every occurrence of the exercise in the program
+    const unit = state.settings.units;
+    const changed = [];
+    const session = todaySession(day);
+    day.exercises.forEach((exObj, idx) => {
+      if (!(exObj.loggedSets || []).length) return;
+      if (session[idx].exObj.swappedFrom) return; // sets belong to today's lighter variant
+      const next = nextBaseTarget(exObj, session[idx].pr);
+      state.program.week.forEach(d => d.exercises.forEach(x => {
+        if (x.exId !== exObj.exId) return;
+        x.prescription.load = next.load;
+        x.prescription.loadUnit = unit;
+        x.prescription.reps = next.reps;
+        if (next.load != null) x.workingWeight = ""; // prefill from the new target
+      }));
+      changed.push(exObj.name);
+    });
+    return changed;
+  }
+
+  function describeNextTarget(exObj, pr = sessionPrescription(exObj)) {
+    const next = nextBaseTarget(exObj, pr);
+    const load = next.load == null ? "" : ` @ ${next.load} ${state.settings.units}`;
+    return `Base target → ${exObj.prescription.sets}×${next.reps}${load}. ${next.note}`;
+  }
+
+  function formatTarget(pr) {
+    const load = targetLoad(pr);
+    const range = pr.repRange && pr.repRange[1] > pr.repRange[0] ? ` (${pr.repRange[0]}–${pr.repRange[1]})` : "";
+    return `${pr.sets}×${pr.reps}${range}${load != null ? ` @ ${load} ${state.settings.units}` : ""}`;
+  }
+
+  /* =========================
+     Plate Math
+     - settings.loading describes the user's bar, plates and dumbbells per unit
+     - suggested loads are rounded to totals the kit can actually make
+  ========================= */
+  const loadableCache = new Map();
+
+  function loadingKit(unit = state.settings.units) {
+    return state.settings.loading?.[unit] || defaultState.settings.loading[unit] || defaultState.settings.loading.kg;
+  }
+
+  function loadingType(exObj) {
+    const eq = exObj.equipment || [];
+    if (eq.includes("barbell")) return "barbell";
+    if (eq.includes("dumbbell")) return "dumbbell";
+    return null;
+  }
+
+  function perSideLoads(kit, unit) {
+    // Sorted per-side totals reachable with pairs of plates (unlimited pairs),
+    // up to 300 kg / 660 lb a side; computed on a 0.01 grid to dodge float drift
+    const plates = kit.plates.map(p => Math.round(p * 100)).filter(p => p > 0);
+    const key = `${unit}:${plates.join(",")}`;
+    if (loadableCache.has(key)) return loadableCache.get(key);
+
+    const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+    const g = plates.reduce(gcd, 0) || 1;
+    const max = Math.round((unit === "lb" ? 660 : 300) * 100 / g);
+    const reach = new Uint8Array(max + 1);
+    reach[0] = 1;
+    for (let i = 1; i <= max; i++) reach[i] = plates.some(p => i - p / g >= 0 && reach[i - p / g]) ? 1 : 0;
+    const out = { g, reach };
+    loadableCache.set(key, out);
+    return out;
+  }
+
+  function roundToLoadable(exObj, load, unit = state.settings.units) {
+    // Nearest weight the kit can make; other equipment keeps half the progression step
+    if (load == null) return null;
+    const kit = loadingKit(unit);
+    const type = loadingType(exObj);
+
+    if (type === "dumbbell") {
+      const step = kit.dumbbellStep;
+      return round(clamp(Math.round(load / step) * step, step, kit.dumbbellMax), 2);
+    }
+    if (type === "barbell") {
+      const { g, reach } = perSideLoads(kit, unit);
+      const side = Math.max(0, (load - kit.bar) / 2) * 100 / g;
+      let best = 0;
+      for (let d = 0; d <= reach.length; d++) {
+        const down = Math.floor(side) - d;
+        const up = Math.ceil(side) + d;
+        const hit = [up, down]
+          .filter(i => i >= 0 && i < reach.length && reach[i])
+          .sort((a, b) => Math.abs(a - side) - Math.abs(b - side))[0];
+        if (hit != null) { best = hit; break; }
+      }
+      return round(kit.bar + (2 * best * g) / 100, 2);
+    }
+    return roundToIncrement(load, loadIncrement(exObj, unit) / 2);
+  }
+
+  function platesPerSide(total, unit = state.settings.units) {
+    // { perSide: [plates, heaviest first], total } for the nearest loadable barbell weight
+    const kit = loadingKit(unit);
+    const loaded = roundToLoadable({ equipment: ["barbell"] }, total, unit);
+    const { g, reach } = perSideLoads(kit, unit);
+    const plates = kit.plates.map(p => Math.round(p * 100)).filter(p => p > 0).sort((a, b) => b - a);
+    const perSide = [];
+    let left = Math.round((loaded - kit.bar) / 2 * 100 / g);
+    while (left > 0) {
+      const p = plates.find(x => x / g <= left && reach[left - x / g]);
+      if (!p) break;
+      perSide.push(p / 100);
+      left -= p / g;
+    }
+    return { perSide, total: loaded };
+  }
+
+  function formatPlates(total, unit = state.settings.units) {
+    const kit = loadingKit(unit);
+    if (!(total > 0)) return "";
+    if (total <= kit.bar) return `Empty bar (${kit.bar} ${unit})`;
+    const { perSide, total: loaded } = platesPerSide(total, unit);
+    const off = loaded !== round(total, 2) ? ` — nearest loadable ${loaded} ${unit}` : "";
+    return `Per side: ${perSide.join(" + ")}${off}`;
+  }
+
+  function loadingHint(exObj, load) {
+    // One-line loading help for Today; "" when there's nothing to say
+    if (!(load > 0)) return "";
+    const type = loadingType(exObj);
+    const unit = state.settings.units;
+    if (type === "barbell") return formatPlates(load);
+    if (type === "dumbbell") {
+      const nearest = roundToLoadable(exObj, load);
+      return nearest === load ? `${load} ${unit} dumbbells` : `Nearest dumbbells: ${nearest} ${unit}`;
+    }
+    return "";
+  }
+
+  function parsePlates(text) {
+    return [...new Set(String(text).split(/[,\s]+/).map(Number).filter(n => Number.isFinite(n) && n > 0))]
+      .map(n => round(n, 2))
+      .sort((a, b) => b - a);
+  }
+
+  /* =========================
+     Set Logging
+     - every working set is stored as its own entry
+     - entries move onto the history log when the session is finished
+  ========================= */
+  const RPE_OPTIONS = [6, 6.5, 7, 7.5, 8, 8.5, 9, 9.5, 10];
+  const LB_PER_KG = 2.20462;
+
+  function doneSets(exObj) {
+    return (exObj.loggedSets || []).length;
+  }
+
+  function makeSetEntry({ reps, load, rpe }) {
+    const loadNum = parseFloat(load);
+    return {
+      reps: clamp(Math.round(Number(reps) || 0), 0, 100),
+      load: Number.isFinite(loadNum) && loadNum > 0 ? round(loadNum, 2) : null, // null = bodyweight
+      unit: state.settings.units,
+      rpe: rpe === "" || rpe == null ? null : clamp(Number(rpe), 1, 10),
+      at: new Date().toISOString()
+    };
+  }
+
+  function convertLoad(load, from, to) {
+    if (load == null || from === to) return load;
+    return to === "lb" ? load * LB_PER_KG : load / LB_PER_KG;
+  }
+
+  function setVolume(set, unit = state.settings.units) {
+    return (convertLoad(set.load, set.unit, unit) || 0) * (set.reps || 0);
+  }
+
+  function formatSet(set) {
+    const load = set.load == null ? "BW" : `${set.load} ${set.unit}`;
+    return `${set.reps} × ${load}${set.rpe != null ? ` @${set.rpe}` : ""}`;
+  }
+
+  function snapshotLoggedExercises(day) {
+    // Copy of the session's sets, keyed by exercise, for the history log.
+    // A lighter variant swapped in today is logged as itself.
+    return todaySession(day).map(({ exObj: x, pr }) => ({
+      exId: x.exId,
+      name: x.name,
+      category: x.category,
+      muscle: x.muscle,
+      group: x.group || null,
+      groupKind: dayGroup(day, x)?.kind || null,
+      ...(x.swappedFrom ? { swappedFrom: x.swappedFrom } : {}),
+      target: (({ sets, reps, load, targetRpe }) => ({ sets, reps, load, targetRpe }))(pr),
+      sets: (x.loggedSets || []).map(set => ({ ...set }))
+    }));
+  }
+
+  /* =========================
+     Warm-ups
+     - compound lifts get a ramp of lighter sets built from the working load
+     - each session opens with a short general block picked from the day's focus
+     - warm-up sets are display-only: they never enter loggedSets, so volume,
+       PRs and progression only ever see working sets
+  ========================= */
+  const WARMUP_RAMP = [
+    { pct: 0, reps: 10 }, // empty bar (barbell lifts only)
+    { pct: 0.4, reps: 5 },
+    { pct: 0.6, reps: 3 },
+    { pct: 0.8, reps: 2 },
+  ];
+
+  const GENERAL_WARMUPS = {
+    Push: ["Arm circles × 20", "Band pull-aparts × 15", "Scapular push-ups × 10", "Light push-ups × 8"],
+    Pull: ["Arm circles × 20", "Band pull-aparts × 15", "Scapular pull-ups / hangs × 8", "Cat-cow × 8"],
+    Legs: ["Leg swings × 10 / side", "Bodyweight squats × 12", "Glute bridges × 12", "Walking lunges × 6 / side"],
+    Upper: ["Arm circles × 20", "Band pull-aparts × 15", "Scapular push-ups × 10", "Thoracic rotations × 8 / side"],
+    "Full Body": ["Jumping jacks × 30", "Bodyweight squats × 10", "Inchworms × 5", "Band pull-aparts × 15"],
+    Core: ["Cat-cow × 8", "Dead bug × 6 / side", "Bird dog × 6 / side"],
+    Workout: ["Jumping jacks × 30", "Bodyweight squats × 10", "Arm circles × 20"],
+  };
+
+  function workingLoad(exObj, pr = sessionPrescription(exObj)) {
+    // What the user is about to lift: their working weight, else the target load
+    const typed = parseFloat(exObj.workingWeight);
+    return Number.isFinite(typed) && typed > 0 ? typed : targetLoad(pr);
+  }
+
+  function warmupSets(exObj, load) {
+    // [{ load, reps }] lighter than the working load; empty for isolation or unloaded work
+    if (!isCompound(exObj) || !load) return [];
+    const barbell = loadingType(exObj) === "barbell";
+    const bar = loadingKit().bar;
+    const top = Math.min(load, roundToLoadable(exObj, load)); // what can actually go on
+    const sets = [];
+    WARMUP_RAMP.forEach(({ pct, reps }) => {
+      if (pct === 0 && !barbell) return;
+      const w = pct === 0 ? bar : roundToLoadable(exObj, load * pct);
+      if (w <= 0 || w >= top || (barbell && w < bar)) return;
+      if (sets.some(s => s.load === w)) return;
+      sets.push({ load: round(w, 2), reps });
+    });
+    return sets;
+  }
+
+  function formatWarmup(sets) {
+    const bar = loadingKit().bar;
+    return sets.map(s => `${s.load === bar ? "bar" : `${s.load} ${state.settings.units}`} × ${s.reps}`).join(" · ");
+  }
+
+  function warmupText(exObj, pr = sessionPrescription(exObj)) {
+    const sets = warmupSets(exObj, workingLoad(exObj, pr));
+    return sets.length ? `Warm-up: ${formatWarmup(sets)}` : "";
+  }
+
+  function sessionWarmup(day) {
+    // General warm-up drills for the day's focus (about 5 minutes)
+    const focus = day.focus in GENERAL_WARMUPS ? day.focus : deriveFocusLabel(day.label);
+    const drills = GENERAL_WARMUPS[focus] || GENERAL_WARMUPS.Workout;
+    const cardio = state.program?.profile.mode === "gym" ? "3 min easy bike or rower" : "2 min brisk marching or skipping";
+    return [cardio, ...drills];
+  }
+
+  /* =========================
+     Analytics
+     - everything is derived from history set entries (current units)
+  ========================= */
+  function estimate1RM(load, reps) {
+    // Epley; a single is its own 1RM
+    if (!load || !reps) return 0;
+    return reps === 1 ? load : load * (1 + reps / 30);
+  }
+
+  function weekStartISO(date, startWeek = state.settings.startWeek) {
+    const d = new Date(`${date}T00:00:00`);
+    const first = startWeek === "sun" ? 0 : 1;
+    d.setDate(d.getDate() - ((d.getDay() - first + 7) % 7));
+    return dateISO(d);
+  }
+
+  function loggedExercises() {
+    // [{ exId, name, sessions }] for every exercise with at least one logged set
+    const map = new Map();
+    state.history.forEach(log => (log.exercises || []).forEach(x => {
+      if (!x.sets?.length) return;
+      const cur = map.get(x.exId) || { exId: x.exId, name: displayName(x), sessions: 0 };
+      cur.sessions++;
+      map.set(x.exId, cur);
+    }));
+    return [...map.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  function exerciseSeries(exId, unit = state.settings.units) {
+    // One point per session, oldest first
+    const out = [];
+    state.history.forEach(log => {
+      const rec = (log.exercises || []).find(x => x.exId === exId);
+      if (!rec?.sets?.length) return;
+      const sets = rec.sets.map(set => ({ ...set, load: convertLoad(set.load, set.unit, unit) }));
+      out.push({
+        date: log.date,
+        sets,
+        topLoad: round(Math.max(0, ...sets.map(x => x.load || 0)), 1),
+        e1rm: round(Math.max(0, ...sets.map(x => estimate1RM(x.load, x.reps))), 1),
+        volume: round(sets.reduce((a, x) => a + (x.load || 0) * (x.reps || 0), 0), 1)
+      });
+    });
+    return out;
+  }
+
+  function bestRepsAtLoadSeries(series, load) {
+    // Most reps in a single set at (or above) the chosen load, per session
+    return series
+      .map(p => ({ x: p.date, y: Math.max(0, ...p.sets.filter(x => (x.load || 0) >= load - 0.01).map(x => x.reps || 0)) }))
+      .filter(p => p.y > 0);
+  }
+
+  function weeklyTonnage(unit = state.settings.units) {
+    const weeks = new Map();
+    state.history.forEach(log => (log.exercises || []).forEach(x => {
+      if (!x.sets?.length || !(x.category in CATEGORY_LABEL)) return;
+      const wk = weekStartISO(log.date);
+      const row = weeks.get(wk) || { push: 0, pull: 0, legs: 0, core: 0 };
+      row[x.category] += x.sets.reduce((a, set) => a + setVolume(set, unit), 0);
+      weeks.set(wk, row);
+    }));
+    return [...weeks.entries()].sort(([a], [b]) => a.localeCompare(b));
+  }
+
+  /* =========================
+     Personal Records
+     - bests are rebuilt by walking history oldest -> newest
+     - an exercise's first logged session sets the baseline (no PRs)
+  ========================= */
+  const PR_LABEL = {
+    load: "Heaviest load",
+    e1rm: "Best e1RM",
+    reps: "Most reps",
+    volume: "Session volume",
+  };
+
+  function emptyBests() {
+    return { sessions: 0, load: null, e1rm: null, volume: null, repsAt: new Map() };
+  }
+
+  function sessionMetrics(sets, unit) {
+    const conv = sets.map(x => ({ reps: x.reps || 0, load: round(convertLoad(x.load, x.unit, unit) || 0, 1) }));
+    const repsAt = new Map();
+    conv.forEach(x => repsAt.set(x.load, Math.max(repsAt.get(x.load) || 0, x.reps)));
+    return {
+      load: Math.max(0, ...conv.map(x => x.load)),
+      e1rm: round(Math.max(0, ...conv.map(x => estimate1RM(x.load, x.reps))), 1),
+      volume: round(conv.reduce((a, x) => a + x.load * x.reps, 0), 1),
+      repsAt
+    };
+  }
+
+  function bestRepsAtOrAbove(bests, load) {
+    let best = 0;
+    bests.repsAt.forEach((v, l) => { if (l >= load) best = Math.max(best, v.reps); });
+    return best;
+  }
+
+  function sessionPRs(rec, bests, unit) {
+    // PRs this exercise record sets against earlier bests (does not mutate)
+    if (!rec.sets?.length || !bests.sessions) return [];
+    const m = sessionMetrics(rec.sets, unit);
+    const base = { exId: rec.exId, name: displayName(rec), unit };
+    const out = [];
+    if (m.load > 0 && m.load > (bests.load?.value || 0)) out.push({ ...base, type: "load", value: m.load, prev: bests.load?.value ?? null });
+    if (m.e1rm > 0 && m.e1rm > (bests.e1rm?.value || 0)) out.push({ ...base, type: "e1rm", value: m.e1rm, prev: bests.e1rm?.value ?? null });
+    m.repsAt.forEach((reps, load) => {
+      const prev = bestRepsAtOrAbove(bests, load);
+      if (prev && reps > prev) out.push({ ...base, type: "reps", value: reps, load, prev });
+    });
+    if (m.volume > 0 && m.volume > (bests.volume?.value || 0)) out.push({ ...base, type: "volume", value: m.volume, prev: bests.volume?.value ?? null });
+    return out;
+  }
+
+  function addSessionToBests(bests, sets, date, unit) {
+    const m = sessionMetrics(sets, unit);
+    bests.sessions++;
+    if (m.load > (bests.load?.value || 0)) bests.load = { value: m.load, date };
+    if (m.e1rm > (bests.e1rm?.value || 0)) bests.e1rm = { value: m.e1rm, date };
+    if (m.volume > (bests.volume?.value || 0)) bests.volume = { value: m.volume, date };
+    m.repsAt.forEach((reps, load) => {
+      if (reps > (bests.repsAt.get(load)?.reps || 0)) bests.repsAt.set(load, { reps, date });
+    });
+  }
+
+  function buildBests(history = state.history, unit = state.settings.units) {
+    // Map exId -> bests across the given (chronological) history
+    const all = new Map();
+    history.forEach(log => (log.exercises || []).forEach(x => {
+      if (!x.sets?.length) return;
+      if (!all.has(x.exId)) all.set(x.exId, emptyBests());
+      addSessionToBests(all.get(x.exId), x.sets, log.date, unit);
+    }));
+    return all;
+  }
+
+  function detectSessionPRs(exercises, bestsByEx, unit = state.settings.units) {
+    return exercises.flatMap(x => sessionPRs(x, bestsByEx.get(x.exId) || emptyBests(), unit));
+  }
+
+  function recomputePRs(history = state.history, unit = state.settings.units) {
+    // Re-flags every history entry; use after history is edited
+    const bests = new Map();
+    history.forEach(log => {
+      log.prs = detectSessionPRs(log.exercises || [], bests, unit);
+      (log.exercises || []).forEach(x => {
+        if (!x.sets?.length) return;
+        if (!bests.has(x.exId)) bests.set(x.exId, emptyBests());
+        addSessionToBests(bests.get(x.exId), x.sets, log.date, unit);
+      });
+    });
+  }
+
+  function formatPR(pr) {
+    const u = pr.unit || state.settings.units;
+    if (pr.type === "reps") return `${PR_LABEL.reps} @ ${pr.load ? `${pr.load} ${u}` : "bodyweight"}: ${pr.value}`;
+    return `${PR_LABEL[pr.type]}: ${pr.value} ${u}`;
+  }
+
+  /* =========================
+     SVG charts (no external library)
+  ========================= */
+  function svgLineChart(series, { unit = "", height = 190 } = {}) {
+    const pts = series.flatMap(s => s.points);
+    if (!pts.length) return `<div class="muted small" style="margin-top:10px;">Not enough data yet.</div>`;
+
+    const W = 600;
+    const H = height;
+    const pad = { l: 48, r: 14, t: 12, b: 28 };
+    const xs = pts.map(p => Date.parse(`${p.x}T00:00:00`));
+    const ys = pts.map(p => p.y);
+    let x0 = Math.min(...xs);
+    let x1 = Math.max(...xs);
+    if (x0 === x1) { x0 -= DAY_MS * 3; x1 += DAY_MS * 3; }
+    let y0 = Math.min(...ys);
+    let y1 = Math.max(...ys);
+    const span = y1 - y0 || Math.max(1, y1 * 0.1);
+    y0 = Math.max(0, y0 - span * 0.15);
+    y1 = y1 + span * 0.15;
+
+    const sx = (t) => pad.l + ((t - x0) / (x1 - x0)) * (W - pad.l - pad.r);
+    const sy = (v) => H - pad.b - ((v - y0) / (y1 - y0)) * (H - pad.t - pad.b);
+    const fmt = (v) => (Math.abs(v) >= 1000 ? `${round(v / 1000, 1)}k` : String(round(v, 1)));
+    const dateLabel = (t) => new Date(t).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+
+    const grid = [0, 1, 2, 3].map(i => {
+      const v = y0 + ((y1 - y0) * i) / 3;
+      return `
+        <line class="chartGridLine" x1="${pad.l}" x2="${W - pad.r}" y1="${sy(v)}" y2="${sy(v)}" />
+        <text class="chartAxis" x="${pad.l - 6}" y="${sy(v) + 4}" text-anchor="end">${fmt(v)}</text>
+      `;
+    }).join("");
+
+    const lines = series.map((s, i) => {
+      if (!s.points.length) return "";
+      const coords = s.points.map(p => [sx(Date.parse(`${p.x}T00:00:00`)), sy(p.y)]);
+      const dots = coords.map(([x, y], j) => `
+        <circle class="chartDot s${i % 4}" cx="${round(x, 1)}" cy="${round(y, 1)}" r="4">
+          <title>${escapeHTML(s.label)} • ${escapeHTML(s.points[j].x)} • ${round(s.points[j].y, 1)}${unit ? " " + escapeHTML(unit) : ""}</title>
+        </circle>
+      `).join("");
+      return `<polyline class="chartLine s${i % 4}" points="${coords.map(([x, y]) => `${round(x, 1)},${round(y, 1)}`).join(" ")}" />${dots}`;
+    }).join("");
+
+    const legend = series.length > 1
+      ? `<div class="chartLegend">${series.map((s, i) => `<span><i class="s${i % 4}"></i>${escapeHTML(s.label)}</span>`).join("")}</div>`
+      : "";
+
+    return `
+      <svg class="chart" viewBox="0 0 ${W} ${H}" role="img" aria-label="${escapeHTML(series.map(s => s.label).join(", "))}">
+        ${grid}
+        <text class="chartAxis" x="${pad.l}" y="${H - 8}">${dateLabel(x0)}</text>
+        <text class="chartAxis" x="${W - pad.r}" y="${H - 8}" text-anchor="end">${dateLabel(x1)}</text>
+        ${lines}
+      </svg>
+      ${legend}
+    `;
+  }
+
+  /* =========================
+     Rendering
+  ========================= */
+  function setTheme(theme) {
+    state.theme = theme;
+    document.documentElement.setAttribute("data-theme", theme === "light" ? "light" : "dark");
+  }
+
+  function routeTo(view) {
+    syncTodayWithCalendar();
+    $$(".view").forEach(v => v.classList.remove("active"));
+    $(`#view-${view}`).classList.add("active");
+
+    $$(".navItem").forEach(b => b.classList.toggle("active", b.dataset.view === view));
+    $$(".bNav").forEach(b => b.classList.toggle("active", b.dataset.view === view));
+
+    // render certain views on demand
+    if (view === "today") renderToday();
+    if (view === "history") renderHistory();
+    if (view === "calendar") renderCalendar();
+    if (view === "progress") renderProgress();
+    if (view === "library") renderLibrary();
+    if (view === "settings") renderSettings();
+    if (view === "dashboard") renderDashboard();
+    if (view === "generator") { renderProgramOutput(); renderProgramLibrary(); }
   }
 
   function renderMiniStatus() {
@@ -742,13 +2822,13 @@
     $("#kpiStreak").textContent = String(state.stats.streak || 0);
     $("#kpiWorkouts").textContent = String(state.history.length);
     $("#kpiWeek").textContent = String(countThisWeek());
-    $("#kpiFocus").textContent = state.program ? (state.program.week[state.todayIndex]?.focus || "—") : "—";
+    $("#kpiFocus").textContent = !state.program ? "—" : isRestDayToday() ? "Rest" : (state.program.week[state.todayIndex]?.focus || "—");
 
     // Score
-    const s = state.scoring;
+    const s = currentScoring();
     const ready = state.program ? computeReadinessScore(s) : null;
     $("#badgeScore").textContent = ready === null ? "—" : String(ready);
-    $("#badgeSub").textContent = state.program ? "Based on logs + recovery" : "Make a plan to start";
+    $("#badgeSub").textContent = state.program ? `${blockWeekLabel()} • based on logs + recovery` : "Make a plan to start";
 
     $("#scoreFatigue").textContent = String(s.fatigue);
     $("#scoreRecovery").textContent = String(s.recovery);
@@ -758,8 +2838,11 @@
     $("#barRecovery").style.width = `${clamp(s.recovery, 0, 100)}%`;
     $("#barPerformance").style.width = `${clamp(s.performance, 0, 100)}%`;
 
+    const band = acwrBand(s.acwr);
+    $("#loadLine").innerHTML = `Load: acute <b>${s.acute}</b> • chronic <b>${s.chronic}</b> AU/day • ACWR <b>${s.acwr}</b> <span class="acwrTag ${band.key}">${escapeHTML(band.label)}</span>`;
     $("#adviceText").textContent = buildAdviceText();
 
+    renderCheckinTrend();
     renderNextPreview();
     renderBalanceBars();
   }
@@ -778,9 +2861,18 @@
       return;
     }
 
+    if (isRestDayToday()) {
+      wrap.innerHTML = `
+        <div class="dayCard">
+          <div class="dayName">Rest day</div>
+          <div class="dayMeta">${escapeHTML(describeNextSession())}</div>
+        </div>
+      `;
+      return;
+    }
+
     const day = state.program.week[state.todayIndex] || state.program.week[0];
-    const s = state.scoring;
-    const ready = computeReadinessScore(s);
+    const ready = computeReadinessScore(currentScoring());
 
     const top = document.createElement("div");
     top.className = "dayCard";
@@ -788,16 +2880,19 @@
       <div class="dayHead">
         <div>
           <div class="dayName">${escapeHTML(day.label)} • <span class="muted">${escapeHTML(day.focus)}</span></div>
-          <div class="dayMeta">Readiness: <b>${ready}</b> • Auto-adjust: ${state.profile?.smartAdapt ? "On" : "Off"}</div>
+          <div class="dayMeta">${escapeHTML(blockWeekLabel())} • Readiness: <b>${ready}</b> • Auto-adjust: ${state.profile?.smartAdapt ? "On" : "Off"}</div>
         </div>
-        <div class="tag">${ready >= 70 ? "Push" : ready >= 50 ? "Normal" : ready >= 42 ? "Caution" : "Recover"}</div>
+        <div class="tag">${readinessTier(ready).label}</div>
       </div>
       <div class="exerciseList" id="dashExList"></div>
     `;
     wrap.appendChild(top);
 
     const list = $("#dashExList");
-    day.exercises.slice(0, 4).forEach(ex => {
+    const adjustments = todayAdjustments(day);
+    day.exercises.slice(0, 4).forEach((_, idx) => {
+      const ex = sessionExercise(day, idx, adjustments[idx]);
+      const pr = todayPrescription(day, idx, undefined, adjustments[idx]);
       const item = document.createElement("div");
       item.className = "exerciseItem";
       item.innerHTML = `
@@ -806,7 +2901,7 @@
           <div class="exerciseSub">${escapeHTML(CATEGORY_LABEL[ex.category] || ex.category)} • ${escapeHTML(ex.muscle)}</div>
         </div>
         <div class="exerciseRight">
-          <div><b>${ex.prescription.sets}</b>x<b>${ex.prescription.reps}</b></div>
+          <div><b>${pr.sets}</b>x<b>${pr.reps}</b>${pr.adjusted ? ` <span class="muted">(adjusted)</span>` : ""}</div>
           <div class="exerciseSub">${ex.prescription.rest}s rest</div>
         </div>
       `;
@@ -827,6 +2922,32 @@
     setBar("#balPull", "#balPullVal", dist.pull);
     setBar("#balLegs", "#balLegsVal", dist.legs);
     setBar("#balCore", "#balCoreVal", dist.core);
+
+    // Per muscle: logged this week against the weekly target, plan as a shadow bar
+    const wrap = $("#muscleBars");
+    if (!state.program) {
+      wrap.innerHTML = `<div class="muted small">Make a plan to see weekly sets per muscle.</div>`;
+      return;
+    }
+    const targets = weeklySetTargets(state.program.profile);
+    const planned = weeklyMuscleSets(state.program.week, x => sessionPrescription(x).sets);
+    const logged = loggedMuscleSetsThisWeek();
+    wrap.innerHTML = Object.keys(MUSCLE_LABEL).map(m => {
+      const t = targets[m];
+      const pct = v => Math.round(clamp(v / t, 0, 1) * 100);
+      const plan = round(planned[m] || 0, 1);
+      const done = round(logged[m] || 0, 1);
+      return `
+        <div class="balanceRow" title="${escapeHTML(`${muscleLabel(m)}: ${done} logged, ${plan} planned, target ${t} sets/week`)}">
+          <div class="balanceLabel">${escapeHTML(muscleLabel(m))}</div>
+          <div class="balanceTrack">
+            <div class="balancePlan ${plan < t ? "under" : ""}" style="width:${pct(plan)}%"></div>
+            <div class="balanceFill" style="width:${pct(done)}%"></div>
+          </div>
+          <div class="balanceVal">${done}/${t}</div>
+        </div>
+      `;
+    }).join("");
   }
 
   function renderProgramOutput() {
@@ -845,56 +2966,558 @@
       return;
     }
 
-    state.program.week.forEach((day, idx) => {
-      const card = document.createElement("div");
-      card.className = "dayCard";
-      card.innerHTML = `
-        <div class="dayHead">
-          <div>
-            <div class="dayName">${escapeHTML(day.label)} • <span class="muted">${escapeHTML(day.focus)}</span></div>
-            <div class="dayMeta">Day ${idx + 1} • ${state.program.profile.minutes} min • ${labelGoal(state.program.profile.goal)}</div>
+    if (programDraft) return renderProgramEditor(out);
+
+    const toolbar = document.createElement("div");
+    toolbar.className = "row";
+    toolbar.innerHTML = `
+      <span class="muted small" style="flex:1;"><b>${escapeHTML(state.program.name || "Untitled")}</b> • change days, exercises and prescriptions by hand.</span>
+      <button class="btn soft" data-act="editProgram" type="button">Edit Program</button>
+    `;
+    out.appendChild(toolbar);
+    out.appendChild(renderBlockOverview());
+    const limitNote = renderLimitationReport();
+    if (limitNote) out.appendChild(limitNote);
+
+    state.program.week.forEach((day, idx) => {
+      const card = document.createElement("div");
+      card.className = "dayCard";
+      card.innerHTML = `
+        <div class="dayHead">
+          <div>
+            <div class="dayName">${escapeHTML(day.label)} • <span class="muted">${escapeHTML(day.focus)}</span></div>
+            <div class="dayMeta">Day ${idx + 1} • ${state.program.profile.minutes} min • ${labelGoal(state.program.profile.goal)}</div>
+            <div class="dayMeta">Warm-up: ${sessionWarmup(day).map(escapeHTML).join(" • ")}</div>
+          </div>
+          <div class="tag">${escapeHTML(splitLabel(state.program.profile.split))}</div>
+        </div>
+        <div class="exerciseList"></div>
+      `;
+      const list = card.querySelector(".exerciseList");
+      const labels = groupLabels(day.exercises);
+
+      day.exercises.forEach((exObj, exi) => {
+        const group = dayGroup(day, exObj);
+        if (group && labels[exi].endsWith("1")) {
+          const head = document.createElement("div");
+          head.className = "groupHead";
+          head.textContent = describeGroup(group);
+          list.appendChild(head);
+        }
+        const item = document.createElement("div");
+        item.className = `exerciseItem${group ? " grouped" : ""}`;
+        item.innerHTML = `
+          <div class="exerciseLeft">
+            <div class="exerciseName">${labels[exi] ? `<span class="groupLabel">${labels[exi]}</span> ` : ""}${escapeHTML(exObj.name)}</div>
+            <div class="exerciseSub">${escapeHTML(CATEGORY_LABEL[exObj.category] || exObj.category)} • ${escapeHTML(exObj.muscle)} • tempo ${escapeHTML(exObj.prescription.tempo)}</div>
+            <div class="exerciseSub">${escapeHTML(exObj.prescription.rpeHint)}</div>
+            ${exObj.prescription.limitNote ? `<div class="exerciseSub warnText">Modified: ${escapeHTML(exObj.prescription.limitNote)}</div>` : ""}
+            ${warmupText(exObj, exObj.prescription) ? `<div class="exerciseSub">${escapeHTML(warmupText(exObj, exObj.prescription))}</div>` : ""}
+          </div>
+          <div class="exerciseRight">
+            <div><b>${exObj.prescription.sets}</b>x<b>${exObj.prescription.reps}</b></div>
+            ${targetLoad(exObj.prescription) != null ? `<div class="exerciseSub">@ ${targetLoad(exObj.prescription)} ${state.settings.units}</div>` : ""}
+            <div class="exerciseSub">${group ? "no rest in round" : `${exObj.prescription.rest}s rest`}</div>
+            <div class="exerciseSmallBtnRow">
+              <button class="miniBtn" data-act="swap" data-day="${idx}" data-ex="${exi}">Swap</button>
+              <button class="miniBtn" data-act="note" data-day="${idx}" data-ex="${exi}">Note</button>
+            </div>
+          </div>
+        `;
+        list.appendChild(item);
+      });
+
+      out.appendChild(card);
+    });
+
+    // attach delegation
+    out.onclick = (e) => {
+      const b = e.target.closest("button");
+      if (!b) return;
+      const act = b.dataset.act;
+      if (act === "editProgram") {
+        programDraft = structuredClone(state.program);
+        return renderProgramOutput();
+      }
+      const day = Number(b.dataset.day);
+      const exi = Number(b.dataset.ex);
+      if (!Number.isFinite(day) || !Number.isFinite(exi)) return;
+
+      if (act === "swap") openSwapModal(day, exi);
+      if (act === "note") openNoteModal(day, exi);
+    };
+    out.oninput = null;
+  }
+
+  /* =========================
+     Program Editor
+     - edits a copy of the program; nothing is saved until validateProgram passes
+     - structural buttons re-render, field edits write straight into the copy
+  ========================= */
+  let programDraft = null;
+
+  const RX_FIELDS = [
+    { key: "sets", label: "Sets", min: 1, max: 10 },
+    { key: "reps", label: "Reps", min: 1, max: 50 },
+    { key: "repTop", label: "Top of range", min: 1, max: 50 },
+    { key: "rest", label: "Rest (s)", min: 0, max: 600 },
+  ];
+
+  function validateProgram(program) {
+    // Returns a list of problems; empty means Today can render and log it
+    const errors = [];
+    const week = program?.week || [];
+    if (!week.length) errors.push("Add at least one day.");
+    if (week.length > 7) errors.push("A week can hold at most 7 days.");
+
+    const int = (n, min, max) => Number.isInteger(n) && n >= min && n <= max;
+    week.forEach((d, i) => {
+      const dayName = d.label?.trim() || `Day ${i + 1}`;
+      if (!d.label?.trim()) errors.push(`Day ${i + 1} needs a name.`);
+      if (!d.exercises?.length) errors.push(`${dayName} has no exercises.`);
+      (d.exercises || []).forEach(x => {
+        const pr = x.prescription || {};
+        const where = `${dayName} → ${x.name || "exercise"}`;
+        if (!x.exId || !x.name) errors.push(`${where}: unknown exercise.`);
+        if (!int(pr.sets, 1, 10)) errors.push(`${where}: sets must be 1–10.`);
+        if (!int(pr.reps, 1, 50)) errors.push(`${where}: reps must be 1–50.`);
+        // Programs from before rep ranges have none: their range is just the reps
+        else if (!int(pr.repRange?.[1] ?? pr.reps, pr.reps, 50)) errors.push(`${where}: top of the rep range must be ${pr.reps}–50.`);
+        if (!int(pr.rest, 0, 600)) errors.push(`${where}: rest must be 0–600 seconds.`);
+        if (!/^[0-9xX](-[0-9xX]){2,3}$/.test(pr.tempo || "")) errors.push(`${where}: tempo should look like 2-0-2.`);
+      });
+      (d.groups || []).forEach(g => {
+        const where = `${dayName} → ${GROUP_KIND_LABEL[g.kind] || "Group"} ${g.id}`;
+        if (!int(g.rounds, 1, 10)) errors.push(`${where}: rounds must be 1–10.`);
+        if (!int(g.rest, 0, 600)) errors.push(`${where}: rest must be 0–600 seconds.`);
+      });
+    });
+    return errors;
+  }
+
+  function renderProgramEditor(out) {
+    const draft = programDraft;
+    const last = draft.week.length - 1;
+
+    out.innerHTML = `
+      <div class="row">
+        <span class="muted small" style="flex:1;">Editing — changes apply when you save.</span>
+        <button class="btn ghost" data-act="editCancel" type="button">Cancel</button>
+        <button class="btn" data-act="editSave" type="button">Save Program</button>
+      </div>
+      <div id="editErrors"></div>
+      ${draft.week.map((day, di) => `
+        <div class="dayCard">
+          <div class="dayHead">
+            <div class="formGrid editDayFields">
+              <div class="field">
+                <label for="edLabel${di}">Day ${di + 1} name</label>
+                <input id="edLabel${di}" data-day="${di}" data-field="label" value="${escapeHTML(day.label)}" />
+              </div>
+              <div class="field">
+                <label for="edFocus${di}">Focus</label>
+                <input id="edFocus${di}" data-day="${di}" data-field="focus" value="${escapeHTML(day.focus)}" />
+              </div>
+            </div>
+            <div class="exerciseSmallBtnRow">
+              <button class="miniBtn" data-act="dayUp" data-day="${di}" ${di === 0 ? "disabled" : ""} aria-label="Move day up">↑</button>
+              <button class="miniBtn" data-act="dayDown" data-day="${di}" ${di === last ? "disabled" : ""} aria-label="Move day down">↓</button>
+              <button class="miniBtn" data-act="dayRemove" data-day="${di}">Delete day</button>
+            </div>
+          </div>
+          <div class="exerciseList">
+            ${day.exercises.map((x, xi) => `
+              ${dayGroup(day, x) && groupLabels(day.exercises)[xi].endsWith("1") ? editGroupHTML(di, dayGroup(day, x)) : ""}
+              <div class="exerciseItem${x.group ? " grouped" : ""}">
+                <div class="exerciseLeft">
+                  <div class="exerciseName">${x.group ? `<span class="groupLabel">${groupLabels(day.exercises)[xi]}</span> ` : ""}${escapeHTML(x.name)}</div>
+                  <div class="exerciseSub">${escapeHTML(CATEGORY_LABEL[x.category] || x.category)} • ${escapeHTML(x.muscle)}</div>
+                  <div class="editRx">
+                    ${RX_FIELDS.map(f => `
+                      <div class="field">
+                        <label>${f.label}</label>
+                        <input type="number" inputmode="numeric" min="${f.min}" max="${f.max}" data-day="${di}" data-ex="${xi}" data-field="${f.key}"
+                          value="${f.key === "repTop" ? x.prescription.repRange?.[1] ?? x.prescription.reps : x.prescription[f.key]}"
+                          ${x.group && (f.key === "sets" || f.key === "rest") ? `disabled title="Set by the group"` : ""} />
+                      </div>
+                    `).join("")}
+                    <div class="field">
+                      <label>Tempo</label>
+                      <input data-day="${di}" data-ex="${xi}" data-field="tempo" value="${escapeHTML(x.prescription.tempo)}" />
+                    </div>
+                  </div>
+                </div>
+                <div class="exerciseSmallBtnRow">
+                  <button class="miniBtn" data-act="exUp" data-day="${di}" data-ex="${xi}" ${xi === 0 ? "disabled" : ""} aria-label="Move up">↑</button>
+                  <button class="miniBtn" data-act="exDown" data-day="${di}" data-ex="${xi}" ${xi === day.exercises.length - 1 ? "disabled" : ""} aria-label="Move down">↓</button>
+                  <button class="miniBtn" data-act="exRemove" data-day="${di}" data-ex="${xi}">Remove</button>
+                  ${exerciseBlockRange(day.exercises, xi)[1] < day.exercises.length - 1 ? `<button class="miniBtn" data-act="exLink" data-day="${di}" data-ex="${xi}" title="Superset with the next exercise">Link ↓</button>` : ""}
+                  ${x.group ? `<button class="miniBtn" data-act="exUnlink" data-day="${di}" data-ex="${xi}">Unlink</button>` : ""}
+                </div>
+              </div>
+            `).join("")}
+          </div>
+          <div class="setActions">
+            <button class="miniBtn" data-act="exAdd" data-day="${di}">+ Exercise</button>
+          </div>
+        </div>
+      `).join("")}
+      <div class="row">
+        <button class="btn soft" data-act="dayAdd" type="button" ${draft.week.length >= 7 ? "disabled" : ""}>+ Day</button>
+      </div>
+    `;
+
+    const move = (list, i, by) => {
+      const j = i + by;
+      if (j < 0 || j >= list.length) return;
+      [list[i], list[j]] = [list[j], list[i]];
+    };
+
+    out.oninput = (e) => {
+      const el = e.target;
+      const di = Number(el.dataset.day);
+      const field = el.dataset.field;
+      if (!Number.isFinite(di) || !field) return;
+      const day = draft.week[di];
+      if (field === "label" || field === "focus") { day[field] = el.value; return; }
+      if (el.dataset.group) {
+        const g = day.groups.find(x => x.id === el.dataset.group);
+        g[field] = el.value === "" ? NaN : Number(el.value);
+        if (field === "rounds") day.exercises.forEach(x => { if (x.group === g.id) x.prescription.sets = g.rounds; });
+        return;
+      }
+
+      const pr = day.exercises[Number(el.dataset.ex)].prescription;
+      if (field === "tempo") pr.tempo = el.value.trim();
+      else if (field === "repTop") pr.repRange = [pr.reps, Number(el.value)];
+      else {
+        // Empty or fractional input stays as-is so validateProgram can flag it
+        pr[field] = el.value === "" ? NaN : Number(el.value);
+        if (field === "reps") pr.repRange = [pr.reps, pr.repRange?.[1] ?? pr.reps];
+      }
+    };
+
+    out.onclick = (e) => {
+      const b = e.target.closest("button[data-act]");
+      if (!b) return;
+      const act = b.dataset.act;
+      const di = Number(b.dataset.day);
+      const xi = Number(b.dataset.ex);
+      const day = draft.week[di];
+
+      if (act === "editCancel") {
+        programDraft = null;
+        return renderProgramOutput();
+      }
+      if (act === "editSave") return saveProgramDraft();
+      if (act === "exAdd") return openExercisePicker(di);
+
+      if (act === "dayAdd") {
+        draft.week.push({ id: uid(), index: draft.week.length, label: `Day ${draft.week.length + 1}`, focus: "Custom", exercises: [] });
+      }
+      if (act === "dayUp") move(draft.week, di, -1);
+      if (act === "dayDown") move(draft.week, di, 1);
+      if (act === "dayRemove") draft.week.splice(di, 1);
+      if (act === "exUp") moveExercise(day, xi, -1);
+      if (act === "exDown") moveExercise(day, xi, 1);
+      if (act === "exRemove") day.exercises.splice(xi, 1);
+      if (act === "exLink") linkWithNext(day, xi);
+      if (act === "exUnlink") unlinkExercise(day, xi);
+      if (day) normalizeGroups(day);
+      renderProgramEditor(out);
+    };
+  }
+
+  function editGroupHTML(di, group) {
+    return `
+      <div class="groupHead editGroup">
+        <span>${escapeHTML(GROUP_KIND_LABEL[group.kind])} ${group.id}</span>
+        <div class="field">
+          <label>Rounds</label>
+          <input type="number" inputmode="numeric" min="1" max="10" data-day="${di}" data-group="${group.id}" data-field="rounds" value="${group.rounds}" />
+        </div>
+        <div class="field">
+          <label>Rest after round (s)</label>
+          <input type="number" inputmode="numeric" min="0" max="600" data-day="${di}" data-group="${group.id}" data-field="rest" value="${group.rest}" />
+        </div>
+      </div>
+    `;
+  }
+
+  function openExercisePicker(dayIndex) {
+    const owned = ownedEquipment(programDraft.profile);
+    const options = allExercises().filter(e => canPerform(e, owned));
+    const listHTML = (q = "") => options
+      .filter(e => !q || e.name.toLowerCase().includes(q) || e.muscle.includes(q) || e.category.includes(q))
+      .map(e => `
+        <button class="btn soft" data-pick="${escapeHTML(e.id)}" type="button" style="width:100%; justify-content:flex-start; margin-top:8px;">
+          ${escapeHTML(e.name)} <span class="muted small">• ${escapeHTML(CATEGORY_LABEL[e.category] || e.category)} • ${escapeHTML(e.muscle)}</span>
+        </button>
+      `).join("") || `<div class="muted" style="margin-top:10px;">No matching exercises.</div>`;
+
+    openModal({
+      title: "Add Exercise",
+      bodyHTML: `
+        <input class="search" id="pickSearch" type="text" placeholder="Search exercises…" style="width:100%;" />
+        <div id="pickList">${listHTML()}</div>
+      `,
+      footHTML: `<button class="btn ghost" id="pickCancel" type="button">Cancel</button>`
+    });
+
+    $("#pickSearch").addEventListener("input", debounce((e) => {
+      $("#pickList").innerHTML = listHTML(e.target.value.toLowerCase().trim());
+    }, 120));
+    $("#pickCancel").onclick = () => closeModal();
+    modalBody.onclick = (e) => {
+      const b = e.target.closest("button[data-pick]");
+      if (!b) return;
+      programDraft.week[dayIndex].exercises.push(planExercise(exerciseById(b.dataset.pick), programDraft.profile));
+      closeModal();
+      renderProgramOutput();
+    };
+  }
+
+  function saveProgramDraft() {
+    const errors = validateProgram(programDraft);
+    if (errors.length) {
+      $("#editErrors").innerHTML = `
+        <div class="callout">
+          <div class="calloutTitle">Fix these before saving</div>
+          <div class="calloutText">${errors.slice(0, 8).map(escapeHTML).join("<br/>")}${errors.length > 8 ? `<br/>…and ${errors.length - 8} more` : ""}</div>
+        </div>
+      `;
+      return;
+    }
+
+    const program = programDraft;
+    program.week.forEach((d, i) => {
+      normalizeGroups(d);
+      d.index = i;
+      d.label = d.label.trim();
+      d.focus = d.focus.trim() || deriveFocusLabel(d.label);
+    });
+    program.profile = { ...program.profile, days: String(program.week.length) };
+    program.updatedAt = new Date().toISOString();
+
+    program.revision = (program.revision || 1) + 1;
+    setActiveProgram(program);
+    state.todayIndex = clamp(state.todayIndex, 0, program.week.length - 1);
+    programDraft = null;
+    state._dirty = true;
+    saveState();
+
+    toast("Program", "Changes saved.");
+    renderProgramOutput();
+    renderDashboard();
+  }
+
+  function renderLimitationReport() {
+    const { excluded, modified } = limitationReport();
+    if (!excluded.length && !modified.length) return null;
+    const el = document.createElement("div");
+    el.className = "callout";
+    el.innerHTML = `
+      <div class="calloutTitle">Adjusted for your limitations</div>
+      <div class="calloutText">
+        ${excluded.map(x => `• <b>${escapeHTML(x.name)}</b> left out — ${escapeHTML(x.reasons.join("; "))}${x.substitute ? `. Try ${escapeHTML(x.substitute)} instead.` : "."}`).join("<br/>")}
+        ${excluded.length && modified.length ? "<br/>" : ""}
+        ${modified.map(x => `• <b>${escapeHTML(x.name)}</b> modified — ${escapeHTML(x.reasons.join("; "))}.`).join("<br/>")}
+      </div>
+    `;
+    return el;
+  }
+
+  function renderBlockOverview() {
+    const block = programBlock();
+    const pos = currentBlockWeek();
+    const el = document.createElement("div");
+    el.className = "dayCard";
+    el.innerHTML = `
+      <div class="dayHead">
+        <div>
+          <div class="dayName">${block.weeks}-week block • <span class="muted">${escapeHTML(PERIODIZATION_LABEL[block.scheme] || block.scheme)} periodization</span></div>
+          <div class="dayMeta">Base targets shown below; each week scales sets, reps and load. Currently ${escapeHTML(blockWeekLabel(pos))}.</div>
+          <div class="dayMeta">Weekly sets vs target: ${volumeSummary(state.program).map(escapeHTML).join(" • ")}</div>
+        </div>
+      </div>
+      <div class="weekStrip">
+        ${block.plan.map(w => `
+          <div class="weekChip ${w.week === pos.week ? "active" : ""} ${w.deload ? "deload" : ""}">
+            <div class="weekChipTitle">W${w.week} • ${escapeHTML(w.phase)}</div>
+            <div class="weekChipSub">sets ×${w.setScale} • reps ${w.repDelta >= 0 ? "+" : ""}${w.repDelta} • load ${Math.round(w.loadPct * 100)}%</div>
+          </div>
+        `).join("")}
+      </div>
+    `;
+    return el;
+  }
+
+  /* =========================
+     Program Library
+     - state.programs holds every saved plan; state.program is the active one
+     - archived plans stay (history still points at them) but are hidden by default
+  ========================= */
+  function defaultProgramName(program) {
+    const p = program.profile || {};
+    return `${splitLabel(p.split)} • ${labelGoal(p.goal)}`;
+  }
+
+  function setActiveProgram(program) {
+    // Callers that restart at day 1 reset todayIndex before this, so a
+    // calendar schedule still has the last word on today's session
+    state.program = program;
+    state.schedule.date = null; // let the calendar pick this plan's session
+    linkActiveProgram(state);
+    syncTodayWithCalendar();
+  }
+
+  function programLibraryChanged(message) {
+    state._dirty = true;
+    saveState();
+    closeModal();
+    if (message) toast("Programs", message);
+    renderProgramOutput();
+    renderProgramLibrary();
+    renderDashboard();
+  }
+
+  function activateProgram(program) {
+    program.archived = false;
+    state.todayIndex = 0; // day 1 unless the calendar says otherwise
+    setActiveProgram(program);
+    state.profile = { ...program.profile };
+    programDraft = null;
+    writeFormFromProfile(state.profile);
+    $("#seed").value = program.seed ?? "";
+    programLibraryChanged(`${program.name} is now active.`);
+  }
+
+  function duplicateProgram(program) {
+    const copy = structuredClone(program);
+    Object.assign(copy, {
+      id: uid(),
+      name: `${program.name} (copy)`,
+      createdAt: new Date().toISOString(),
+      revision: 1,
+      archived: false
+    });
+    copy.week.forEach(d => d.exercises.forEach(x => { x.loggedSets = []; }));
+    state.programs.push(copy);
+    programLibraryChanged(`Saved a copy as ${copy.name}.`);
+  }
+
+  function renameProgram(program) {
+    openModal({
+      title: "Rename Program",
+      bodyHTML: `
+        <div class="field">
+          <label for="prgName">Name</label>
+          <input id="prgName" value="${escapeHTML(program.name)}" />
+        </div>
+      `,
+      footHTML: `
+        <button class="btn ghost" id="prgCancel" type="button">Cancel</button>
+        <button class="btn" id="prgSave" type="button">Save</button>
+      `
+    });
+    $("#prgCancel").onclick = () => closeModal();
+    $("#prgSave").onclick = () => {
+      const name = ($("#prgName").value || "").trim();
+      if (!name) return toast("Rename", "Enter a name.");
+      program.name = name;
+      programLibraryChanged();
+    };
+  }
+
+  function deleteProgram(program) {
+    const sessions = state.history.filter(h => h.programId === program.id).length;
+    openModal({
+      title: "Delete Program",
+      bodyHTML: `
+        <div class="muted">Delete <b>${escapeHTML(program.name)}</b>? This can’t be undone.</div>
+        <div class="help" style="margin-top:8px;">
+          ${sessions ? `Its ${sessions} logged session${sessions === 1 ? "" : "s"} stay in History. ` : ""}Archive it instead to keep it out of the way.
+        </div>
+      `,
+      footHTML: `
+        <button class="btn ghost" id="prdCancel" type="button">Cancel</button>
+        <button class="btn danger" id="prdGo" type="button">Delete</button>
+      `
+    });
+    $("#prdCancel").onclick = () => closeModal();
+    $("#prdGo").onclick = () => {
+      state.programs = state.programs.filter(p => p.id !== program.id);
+      if (state.program?.id === program.id) {
+        // Fall back to the newest plan that isn't archived
+        const next = state.programs.filter(p => !p.archived).sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0] ?? null;
+        state.todayIndex = 0;
+        setActiveProgram(next);
+        programDraft = null;
+      }
+      programLibraryChanged(`${program.name} deleted.`);
+    };
+  }
+
+  function renderProgramLibrary() {
+    const wrap = $("#programLibrary");
+    const showArchived = $("#progShowArchived").checked;
+    const list = state.programs
+      .filter(p => showArchived || !p.archived)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    if (!list.length) {
+      wrap.innerHTML = `
+        <div class="empty">
+          <div class="emptyTitle">No saved programs</div>
+          <div class="emptyText">${state.programs.length ? "All your programs are archived." : "Generated programs are kept here."}</div>
+        </div>
+      `;
+      return;
+    }
+
+    wrap.innerHTML = list.map(p => {
+      const active = p.id === state.program?.id;
+      const sessions = state.history.filter(h => h.programId === p.id).length;
+      return `
+        <div class="dayCard">
+          <div class="dayHead">
+            <div>
+              <div class="dayName">${escapeHTML(p.name)}</div>
+              <div class="dayMeta">
+                Created ${escapeHTML(dateISO(new Date(p.createdAt)))} • ${escapeHTML(splitLabel(p.profile?.split))} • ${escapeHTML(labelGoal(p.profile?.goal))} • ${p.week.length} days
+              </div>
+              <div class="dayMeta">
+                ${sessions} session${sessions === 1 ? "" : "s"} logged • revision ${p.revision || 1}${p.seed != null ? ` • seed ${p.seed}` : ""}
+              </div>
+            </div>
+            ${active ? `<div class="tag">Active</div>` : p.archived ? `<div class="tag">Archived</div>` : ""}
+          </div>
+          <div class="setActions">
+            ${active ? "" : `<button class="miniBtn" data-act="use" data-id="${escapeHTML(p.id)}">Use</button>`}
+            <button class="miniBtn" data-act="rename" data-id="${escapeHTML(p.id)}">Rename</button>
+            <button class="miniBtn" data-act="duplicate" data-id="${escapeHTML(p.id)}">Duplicate</button>
+            ${active ? "" : `<button class="miniBtn" data-act="archive" data-id="${escapeHTML(p.id)}">${p.archived ? "Unarchive" : "Archive"}</button>`}
+            <button class="miniBtn" data-act="delete" data-id="${escapeHTML(p.id)}">Delete</button>
           </div>
-          <div class="tag">${escapeHTML(splitLabel(state.program.profile.split))}</div>
         </div>
-        <div class="exerciseList"></div>
       `;
-      const list = card.querySelector(".exerciseList");
-
-      day.exercises.forEach((exObj, exi) => {
-        const item = document.createElement("div");
-        item.className = "exerciseItem";
-        item.innerHTML = `
-          <div class="exerciseLeft">
-            <div class="exerciseName">${escapeHTML(exObj.name)}</div>
-            <div class="exerciseSub">${escapeHTML(CATEGORY_LABEL[exObj.category] || exObj.category)} • ${escapeHTML(exObj.muscle)} • tempo ${escapeHTML(exObj.prescription.tempo)}</div>
-            <div class="exerciseSub">${escapeHTML(exObj.prescription.rpeHint)}</div>
-          </div>
-          <div class="exerciseRight">
-            <div><b>${exObj.prescription.sets}</b>x<b>${exObj.prescription.reps}</b></div>
-            <div class="exerciseSub">${exObj.prescription.rest}s rest</div>
-            <div class="exerciseSmallBtnRow">
-              <button class="miniBtn" data-act="swap" data-day="${idx}" data-ex="${exi}">Swap</button>
-              <button class="miniBtn" data-act="note" data-day="${idx}" data-ex="${exi}">Note</button>
-            </div>
-          </div>
-        `;
-        list.appendChild(item);
-      });
-
-      out.appendChild(card);
-    });
+    }).join("");
 
-    // attach delegation
-    out.onclick = (e) => {
-      const b = e.target.closest("button");
+    wrap.onclick = (e) => {
+      const b = e.target.closest("button[data-act]");
       if (!b) return;
+      const program = state.programs.find(p => p.id === b.dataset.id);
+      if (!program) return;
       const act = b.dataset.act;
-      const day = Number(b.dataset.day);
-      const exi = Number(b.dataset.ex);
-      if (!Number.isFinite(day) || !Number.isFinite(exi)) return;
 
-      if (act === "swap") openSwapModal(day, exi);
-      if (act === "note") openNoteModal(day, exi);
+      if (act === "use") activateProgram(program);
+      if (act === "rename") renameProgram(program);
+      if (act === "duplicate") duplicateProgram(program);
+      if (act === "delete") deleteProgram(program);
+      if (act === "archive") {
+        program.archived = !program.archived;
+        programLibraryChanged(program.archived ? `${program.name} archived.` : `${program.name} restored.`);
+      }
     };
   }
 
@@ -916,44 +3539,135 @@
       return;
     }
 
+    if (isRestDayToday()) {
+      $("#todayTitle").textContent = "Rest day";
+      $("#todayMeta").textContent = `${WEEKDAY_LABEL[new Date().getDay()]} • ${describeNextSession()}`;
+      wrap.innerHTML = `
+        <div class="callout">
+          <div class="calloutTitle">No session scheduled today</div>
+          <div class="calloutText">Recovery is where progress happens. Walk, stretch, sleep well.</div>
+          <div class="setActions">
+            <button class="btn soft" id="btnTrainAnyway" type="button">Train anyway</button>
+          </div>
+        </div>
+      `;
+      $("#btnTrainAnyway").onclick = () => {
+        state.schedule.trainAnyway = true;
+        saveState();
+        renderToday();
+        renderDashboard();
+      };
+      return;
+    }
+
     const day = state.program.week[state.todayIndex];
+    const pos = currentBlockWeek();
     $("#todayTitle").textContent = day.label;
-    $("#todayMeta").textContent = `${day.focus} • ${state.program.profile.minutes} min • ${labelGoal(state.program.profile.goal)} • ${state.program.profile.mode === "gym" ? "Gym" : "Home"}`;
+    $("#todayMeta").textContent = `${blockWeekLabel(pos)} • ${day.focus} • ${state.program.profile.minutes} min • ${labelGoal(state.program.profile.goal)} • ${state.program.profile.mode === "gym" ? "Gym" : "Home"}`;
+
+    const checkin = checkinOn(todayISO());
+    const ci = document.createElement("div");
+    ci.className = "callout";
+    ci.innerHTML = checkin ? `
+      <div class="calloutTitle">Checked in • readiness ${computeReadinessScore(currentScoring())}</div>
+      <div class="calloutText">${escapeHTML(checkinFactors(checkin).map(f => f.label).join(" • ") || "Nothing unusual today.")}</div>
+      <div class="setActions"><button class="btn ghost" id="btnTodayCheckin" type="button">Edit check-in</button></div>
+    ` : `
+      <div class="calloutTitle">Pre-workout check-in</div>
+      <div class="calloutText">Sleep, soreness and stress shift today's readiness. Optional, takes 20 seconds.</div>
+      <div class="setActions"><button class="btn soft" id="btnTodayCheckin" type="button">Check in</button></div>
+    `;
+    wrap.appendChild(ci);
+    $("#btnTodayCheckin").onclick = openCheckin;
+
+    if (pos.info.deload) {
+      const note = document.createElement("div");
+      note.className = "callout";
+      note.innerHTML = `
+        <div class="calloutTitle">Deload week</div>
+        <div class="calloutText">Sets and loads are reduced for recovery. Keep technique crisp and stop 2–3 reps before failure.</div>
+      `;
+      wrap.appendChild(note);
+    }
 
-    day.exercises.forEach((exObj, idx) => {
+    const warm = document.createElement("div");
+    warm.className = "callout warmupCallout";
+    warm.innerHTML = `
+      <div class="calloutTitle">Warm-up (~5 min)</div>
+      <div class="calloutText">${sessionWarmup(day).map(escapeHTML).join(" • ")}</div>
+    `;
+    wrap.appendChild(warm);
+
+    const adjustments = todayAdjustments(day, pos.info);
+    renderAdaptationCallout(wrap, day, adjustments);
+
+    if (guided && guided.dayIndex !== state.todayIndex) guided = null;
+    $("#btnGuided").textContent = guided ? "Exit Guided" : "Guided";
+    if (guided) return renderGuided(wrap, day, pos);
+
+    const labels = groupLabels(day.exercises);
+    day.exercises.forEach((_, idx) => {
       const card = document.createElement("div");
       card.className = "dayCard";
+      const exObj = sessionExercise(day, idx, adjustments[idx]);
+      const pr = todayPrescription(day, idx, pos.info, adjustments[idx]);
+      const prLoad = targetLoad(pr);
+      const group = dayGroup(day, exObj);
+      if (group) card.classList.add("grouped");
 
       card.innerHTML = `
         <div class="dayHead">
           <div>
-            <div class="dayName">${escapeHTML(exObj.name)}</div>
+            <div class="dayName">${labels[idx] ? `<span class="groupLabel">${labels[idx]}</span> ` : ""}${escapeHTML(exObj.name)}</div>
             <div class="dayMeta">${escapeHTML(CATEGORY_LABEL[exObj.category] || exObj.category)} • ${escapeHTML(exObj.muscle)} • tempo ${escapeHTML(exObj.prescription.tempo)}</div>
+            ${exObj.swappedFrom ? `<div class="dayMeta">Lighter variant of ${escapeHTML(exObj.swappedFrom)} for today</div>` : ""}
+            ${group && labels[idx].endsWith("1") ? `<div class="dayMeta">${escapeHTML(describeGroup(group))}</div>` : ""}
+            <div class="warmupRow" id="warm-${idx}">${escapeHTML(warmupText(exObj, pr))}</div>
           </div>
-          <div class="tag">${exObj.prescription.rest}s rest</div>
+          <div class="tag">${group ? `${escapeHTML(GROUP_KIND_LABEL[group.kind])} • ` : ""}${restAfter(day, exObj)}s rest</div>
         </div>
+        ${adaptBoxHTML(day, idx, adjustments[idx])}
 
         <div class="setGrid">
           <div class="setCell">
             <div class="setLabel">Target</div>
-            <div class="setValue"><b>${exObj.prescription.sets}</b> sets × <b>${exObj.prescription.reps}</b> reps</div>
-            <div class="help">${escapeHTML(exObj.prescription.rpeHint)}</div>
+            <div class="setValue">${escapeHTML(formatTarget(pr))}</div>
+            ${pr.adjusted && formatTarget(pr) !== formatTarget(sessionPrescription(day.exercises[idx], pos.info)) ? `<div class="help">Plan: ${escapeHTML(formatTarget(sessionPrescription(day.exercises[idx], pos.info)))}</div>` : ""}
+            <div class="help">${escapeHTML(exObj.prescription.rpeHint)}${pr.targetRpe != null ? ` • target RPE ${pr.targetRpe}` : ""}</div>
+            <div class="help">${escapeHTML(PROGRESSION_LABEL[exObj.prescription.progression] || "")}</div>
+            ${pr.limitNote ? `<div class="help warnText">Modified: ${escapeHTML(pr.limitNote)}</div>` : ""}
           </div>
 
           <div class="setCell">
-            <div class="setLabel">Working Weight</div>
-            <div class="setValue">
-              <input class="weightInput" data-idx="${idx}" value="${escapeHTML(exObj.workingWeight || "")}" placeholder="${state.settings.units}…" />
+            <div class="setLabel">Log Set ${doneSets(exObj) + 1}</div>
+            <div class="setInputs">
+              <input class="setInput" data-field="reps" data-idx="${idx}" type="number" inputmode="numeric" min="0" value="${pr.reps}" aria-label="Reps" />
+              <input class="weightInput" data-field="load" data-idx="${idx}" type="number" inputmode="decimal" min="0" step="any" value="${escapeHTML(exObj.workingWeight || (prLoad ?? ""))}" placeholder="${state.settings.units}…" aria-label="Load (${state.settings.units})" />
+              <select class="setInput" data-field="rpe" data-idx="${idx}" aria-label="RPE">
+                <option value="">RPE</option>
+                ${RPE_OPTIONS.map(r => `<option value="${r}">${r}</option>`).join("")}
+              </select>
+            </div>
+            <div class="setActions">
+              <button class="miniBtn" data-act="log" data-idx="${idx}">Log Set</button>
             </div>
-            <div class="help">Optional</div>
+            <div class="help">Reps • load (${state.settings.units}, blank = bodyweight) • RPE</div>
+            <div class="help plateRow" id="plates-${idx}">${escapeHTML(loadingHint(exObj, workingLoad(exObj, pr)))}</div>
           </div>
 
           <div class="setCell">
-            <div class="setLabel">Completed Sets</div>
-            <div class="setValue"><b id="done-${idx}">${exObj.completedSets || 0}</b> / ${exObj.prescription.sets}</div>
+            <div class="setLabel">Logged Sets</div>
+            <div class="setValue"><b id="done-${idx}">${doneSets(exObj)}</b> / ${pr.sets}</div>
+            <div class="setLog">
+              ${(exObj.loggedSets || []).map((set, si) => `
+                <div class="setLogRow">
+                  <span>${si + 1}. ${escapeHTML(formatSet(set))}</span>
+                  <button class="miniBtn" data-act="unlog" data-idx="${idx}" data-set="${si}" aria-label="Remove set ${si + 1}">×</button>
+                </div>
+              `).join("")}
+            </div>
             <div class="setActions">
-              <button class="miniBtn" data-act="minus" data-idx="${idx}">-</button>
-              <button class="miniBtn" data-act="plus" data-idx="${idx}">+</button>
+              <button class="miniBtn" data-act="minus" data-idx="${idx}">Undo</button>
               <button class="miniBtn" data-act="rest" data-idx="${idx}">Start Rest</button>
             </div>
           </div>
@@ -978,7 +3692,15 @@
       inp.addEventListener("input", debounce((e) => {
         const idx = Number(e.target.dataset.idx);
         if (!Number.isFinite(idx)) return;
-        state.program.week[state.todayIndex].exercises[idx].workingWeight = e.target.value.trim();
+        const day = state.program.week[state.todayIndex];
+        const exObj = sessionExercise(day, idx);
+        const pr = todayPrescription(day, idx);
+        exObj.workingWeight = e.target.value.trim();
+        const row = $(`#warm-${idx}`);
+        if (row) row.textContent = warmupText(exObj, pr);
+        const plates = $(`#plates-${idx}`);
+        if (plates) plates.textContent = loadingHint(exObj, workingLoad(exObj, pr));
+        if (exObj.swappedFrom) return; // today's variant: the plan's working weight stays
         state._dirty = true;
         saveState();
       }, 220));
@@ -994,17 +3716,33 @@
       if (!Number.isFinite(idx)) return;
       const exObj = state.program.week[state.todayIndex].exercises[idx];
 
+      if (act === "adaptAccept" || act === "adaptReject") {
+        setAdaptationChoice([idx], act === "adaptAccept" ? "accepted" : "rejected");
+        renderToday(); renderDashboard();
+      }
+      if (act === "log") {
+        const card = b.closest(".dayCard");
+        const field = (name) => card.querySelector(`[data-field="${name}"]`).value;
+        const set = makeSetEntry({ reps: field("reps"), load: field("load"), rpe: field("rpe") });
+        if (set.reps <= 0) return toast("Log Set", "Enter the reps you completed.");
+        exObj.loggedSets = [...(exObj.loggedSets || []), set];
+        // A lighter variant's load says nothing about the planned lift's working weight
+        if (set.load != null && !sessionExercise(state.program.week[state.todayIndex], idx).swappedFrom) exObj.workingWeight = String(set.load);
+        state._dirty = true; saveState(); renderToday();
+      }
       if (act === "minus") {
-        exObj.completedSets = clamp((exObj.completedSets || 0) - 1, 0, exObj.prescription.sets);
+        exObj.loggedSets = (exObj.loggedSets || []).slice(0, -1);
         state._dirty = true; saveState(); renderToday();
       }
-      if (act === "plus") {
-        exObj.completedSets = clamp((exObj.completedSets || 0) + 1, 0, exObj.prescription.sets);
+      if (act === "unlog") {
+        const si = Number(b.dataset.set);
+        exObj.loggedSets = (exObj.loggedSets || []).filter((_, i) => i !== si);
         state._dirty = true; saveState(); renderToday();
       }
       if (act === "rest") {
-        startTimer(exObj.prescription.rest);
-        toast("Rest Timer", `${exObj.prescription.rest}s started.`);
+        const rest = restAfter(state.program.week[state.todayIndex], exObj);
+        startTimer(rest);
+        toast("Rest Timer", `${rest}s started.`);
       }
       if (act === "swap") {
         openSwapModal(state.todayIndex, idx, true);
@@ -1015,6 +3753,354 @@
     };
   }
 
+  /* =========================
+     Today Adaptation
+     - today's session is tuned to readiness in place, the plan never changes:
+       accessory sets, target RPE and load shift, and on recovery days heavy
+       compounds can drop to a lighter variant
+     - each change is only a proposal until accepted; state.adaptation keeps
+       the user's accept/reject choices for today's session together with the
+       values they were made for, so a later readiness change cannot slip a
+       different adjustment in under an old "accepted"
+     - once sets are logged on an exercise its choice stays put, and a swap can
+       no longer be accepted or reverted: the sets belong to the lift they were done on
+  ========================= */
+  const READINESS_TIERS = [
+    { min: 70, key: "push", label: "Push", sets: 1, rpe: 0.5, loadPct: 1, swap: false },
+    { min: 50, key: "normal", label: "Normal", sets: 0, rpe: 0, loadPct: 1, swap: false },
+    { min: 42, key: "caution", label: "Caution", sets: -1, rpe: -1, loadPct: 1, swap: false },
+    { min: -Infinity, key: "recover", label: "Recover", sets: -1, rpe: -1.5, loadPct: 0.9, swap: true },
+  ];
+
+  function readinessTier(ready) {
+    return READINESS_TIERS.find(t => ready >= t.min);
+  }
+
+  function adaptationChoices() {
+    // { [idx]: { status, adj, tier } }; choices only hold for the session they were made for
+    const a = state.adaptation;
+    const same = a && a.date === todayISO() && a.programId === state.program?.id && a.dayIndex === state.todayIndex;
+    return same ? a.choices : {};
+  }
+
+  function sameAdjustment(a, b) {
+    const key = x => x && [x.sets, x.targetRpe, x.loadPct, x.swapTo].join("|");
+    return key(a) === key(b);
+  }
+
+  function todayChoice(day, idx, adj) {
+    // { status: "accepted" | "rejected" | "pending", adj, tier } in effect for an exercise.
+    // A stored choice holds while today's proposal is unchanged, or for good once sets are logged.
+    const stored = adaptationChoices()[idx];
+    if (stored?.status && (doneSets(day.exercises[idx]) > 0 || sameAdjustment(stored.adj, adj))) return stored;
+    return { status: "pending", adj, tier: null };
+  }
+
+  function swapLocked(day, idx, adj) {
+    // Sets already logged: swapping now would move them onto a different lift
+    const ch = todayChoice(day, idx, adj);
+    return doneSets(day.exercises[idx]) > 0 && !!(ch.adj?.swapTo || adj?.swapTo);
+  }
+
+  function setAdaptationChoice(idxs, status, day = state.program.week[state.todayIndex]) {
+    // status: "accepted" | "rejected"; stores the proposal it applies to
+    const adjustments = todayAdjustments(day);
+    const tier = readinessTier(computeReadinessScore(currentScoring())).key;
+    const choices = { ...adaptationChoices() };
+    idxs
+      .filter(i => adjustments[i] && !swapLocked(day, i, adjustments[i]))
+      .forEach(i => { choices[i] = { status, adj: adjustments[i], tier }; });
+    state.adaptation = { date: todayISO(), programId: state.program.id, dayIndex: state.todayIndex, choices };
+    state._dirty = true;
+    saveState();
+  }
+
+  function lighterVariant(exObj, day) {
+    // First listed alternative that stresses the body less, fits equipment and
+    // limitations, and is not already in the day
+    const inDay = new Set(day.exercises.map(x => x.exId));
+    const profile = state.program.profile;
+    const owned = ownedEquipment(profile);
+    const stressOf = e => Object.values(e.stress || {}).reduce((a, n) => a + n, 0);
+    const current = exerciseById(exObj.exId);
+    return (exObj.alts || []).map(exerciseById).find(e =>
+      e && !inDay.has(e.id) && canPerform(e, owned) &&
+      checkLimitations(e, profile.limitations).action === "ok" &&
+      (!isCompound(e) || (current && stressOf(e) < stressOf(current)))
+    ) || null;
+  }
+
+  function todayAdjustments(day, info = currentBlockWeek().info) {
+    // Per exercise: null or { sets, targetRpe, loadPct, swapTo } proposed for today.
+    // Deload weeks are already lighter, so they are left alone.
+    const off = !state.profile?.smartAdapt || info.deload || day !== state.program.week[state.todayIndex];
+    if (off) return day.exercises.map(() => null);
+    const tier = readinessTier(computeReadinessScore(currentScoring()));
+    return day.exercises.map(exObj => {
+      const pr = sessionPrescription(exObj, info);
+      const compound = isCompound(exObj);
+      const adj = {};
+      // Compounds and grouped members keep their sets (groups share rounds)
+      if (tier.sets && !compound && !exObj.group) {
+        const sets = clamp(pr.sets + tier.sets, 1, 6);
+        if (sets !== pr.sets) adj.sets = sets;
+      }
+      if (tier.rpe && pr.targetRpe != null) adj.targetRpe = clamp(pr.targetRpe + tier.rpe, 5, 10);
+      if (tier.swap && compound) {
+        const variant = lighterVariant(exObj, day);
+        if (variant) adj.swapTo = variant.id;
+      }
+      if (tier.loadPct !== 1 && pr.load != null && !adj.swapTo) adj.loadPct = tier.loadPct;
+      return Object.keys(adj).length ? adj : null;
+    });
+  }
+
+  function todayPrescription(day, idx, info = currentBlockWeek().info, adj = todayAdjustments(day, info)[idx]) {
+    // Session prescription with the accepted adjustment applied (marked .adjusted)
+    const exObj = day.exercises[idx];
+    const pr = sessionPrescription(exObj, info);
+    const ch = todayChoice(day, idx, adj);
+    if (ch.status !== "accepted") return pr;
+    adj = ch.adj;
+    const out = { ...pr, adjusted: true };
+    if (adj.sets != null) out.sets = adj.sets;
+    if (adj.targetRpe != null) out.targetRpe = adj.targetRpe;
+    if (adj.loadPct) {
+      out.load = roundToLoadable(exObj, pr.load * adj.loadPct, pr.loadUnit || state.settings.units);
+      out.loadPct = pr.loadPct * adj.loadPct;
+    }
+    if (adj.swapTo) out.load = null; // a different lift: the user picks its load
+    return out;
+  }
+
+  function sessionExercise(day, idx, adj = todayAdjustments(day)[idx]) {
+    // What is performed today: the plan entry, or its lighter variant when that swap was accepted.
+    // Sets are still logged on the plan entry; the variant's working weight is
+    // its last logged set, so the plan's own working weight is left alone.
+    const exObj = day.exercises[idx];
+    const ch = todayChoice(day, idx, adj);
+    if (ch.status !== "accepted" || !ch.adj?.swapTo) return exObj;
+    const v = exerciseById(ch.adj.swapTo);
+    const last = (exObj.loggedSets || []).at(-1);
+    return {
+      ...exObj,
+      exId: v.id, name: v.name, category: v.category, muscle: v.muscle, equipment: v.equipment,
+      workingWeight: last?.load != null ? String(last.load) : "",
+      swappedFrom: exObj.name
+    };
+  }
+
+  function todaySession(day, info = currentBlockWeek().info) {
+    // [{ exObj, pr }] as performed today, with accepted adjustments applied
+    const adjustments = todayAdjustments(day, info);
+    return day.exercises.map((_, idx) => ({ exObj: sessionExercise(day, idx, adjustments[idx]), pr: todayPrescription(day, idx, info, adjustments[idx]) }));
+  }
+
+  function describeAdjustment(day, idx, adj, info = currentBlockWeek().info) {
+    const exObj = day.exercises[idx];
+    const pr = sessionPrescription(exObj, info);
+    const unit = state.settings.units;
+    const parts = [];
+    if (adj.swapTo) parts.push(`swap to ${exerciseName(adj.swapTo)}`);
+    if (adj.sets != null) parts.push(`${pr.sets} → ${adj.sets} sets`);
+    if (adj.targetRpe != null) parts.push(`RPE ${pr.targetRpe} → ${adj.targetRpe}`);
+    if (adj.loadPct) parts.push(`${targetLoad(pr)} → ${targetLoad({ ...pr, load: roundToLoadable(exObj, pr.load * adj.loadPct, pr.loadUnit || unit) })} ${unit}`);
+    return parts.join(" • ");
+  }
+
+  function adaptBoxHTML(day, idx, adj) {
+    const { status, adj: shown, tier } = todayChoice(day, idx, adj);
+    if (!shown) return "";
+    const locked = swapLocked(day, idx, adj);
+    const tierLabel = tier ? ` (${READINESS_TIERS.find(t => t.key === tier)?.label})` : "";
+    const head = status === "accepted" ? `Adjusted for readiness${tierLabel}`
+      : status === "rejected" ? "Adjustment rejected — plan kept"
+      : "Suggested for readiness";
+    return `
+      <div class="adaptBox ${status}">
+        <div class="adaptHead">${head}</div>
+        <div class="help">${escapeHTML(describeAdjustment(day, idx, shown))}</div>
+        ${locked ? `<div class="help">Sets are logged on ${escapeHTML(sessionExercise(day, idx, adj).name)}, so this stays as it is for today.</div>` : `
+        <div class="setActions">
+          ${status !== "accepted" ? `<button class="miniBtn" data-act="adaptAccept" data-idx="${idx}">Accept</button>` : ""}
+          ${status !== "rejected" ? `<button class="miniBtn" data-act="adaptReject" data-idx="${idx}">${status === "accepted" ? "Revert" : "Reject"}</button>` : ""}
+        </div>`}
+      </div>
+    `;
+  }
+
+  function renderAdaptationCallout(wrap, day, adjustments) {
+    const idxs = adjustments.map((a, i) => (todayChoice(day, i, a).adj ? i : null)).filter(i => i != null);
+    if (!idxs.length) return;
+    const ready = computeReadinessScore(currentScoring());
+    const tier = readinessTier(ready);
+    const pending = idxs.filter(i => todayChoice(day, i, adjustments[i]).status === "pending" && !swapLocked(day, i, adjustments[i])).length;
+    const el = document.createElement("div");
+    el.className = "callout";
+    el.innerHTML = `
+      <div class="calloutTitle">Readiness ${ready} • ${escapeHTML(tier.label)}</div>
+      <div class="calloutText">
+        ${tier.sets < 0 ? "Lighter session suggested" : "A little more work suggested"} for ${idxs.length} exercise${idxs.length === 1 ? "" : "s"}${pending ? ` (${pending} to review)` : ""}. Your plan stays as it is.
+      </div>
+      <div class="setActions">
+        <button class="btn soft" data-act="adaptAcceptAll" type="button">Accept all</button>
+        <button class="btn ghost" data-act="adaptRejectAll" type="button">Reject all</button>
+      </div>
+    `;
+    el.querySelector('[data-act="adaptAcceptAll"]').onclick = () => { setAdaptationChoice(idxs, "accepted", day); renderToday(); renderDashboard(); };
+    el.querySelector('[data-act="adaptRejectAll"]').onclick = () => { setAdaptationChoice(idxs, "rejected", day); renderToday(); renderDashboard(); };
+    wrap.appendChild(el);
+  }
+
+  /* =========================
+     Guided Workout
+     - one set at a time; the position is derived from what has been logged,
+       so leaving and re-entering picks up where the user stopped
+     - exercises sharing a group (superset / circuit) alternate set by set
+  ========================= */
+  let guided = null; // { dayIndex, skipped: [exercise idx] } while guided mode is on
+
+  function guidedSteps(day, info = currentBlockWeek().info) {
+    // [{ idx, set, block }] in the order the sets are performed
+    const session = todaySession(day, info);
+    const steps = [];
+    const blocks = [];
+    day.exercises.forEach((x, idx) => {
+      const [first] = exerciseBlockRange(day.exercises, idx);
+      if (first === idx) blocks.push([idx]);
+      else blocks[blocks.length - 1].push(idx);
+    });
+    blocks.forEach(block => {
+      const sets = block.map(idx => session[idx].pr.sets);
+      for (let set = 1; set <= Math.max(...sets); set++) {
+        block.forEach((idx, bi) => { if (set <= sets[bi]) steps.push({ idx, set, block }); });
+      }
+    });
+    return steps;
+  }
+
+  function guidedCurrent(day, steps = guidedSteps(day)) {
+    const skipped = new Set(guided?.skipped || []);
+    const at = steps.findIndex(st => !skipped.has(st.idx) && doneSets(day.exercises[st.idx]) < st.set);
+    return at < 0 ? null : { ...steps[at], at, next: steps.slice(at + 1).find(st => !skipped.has(st.idx)) || null };
+  }
+
+  function guidedRestAfter(day, step) {
+    // Within a group's round the next exercise follows straight away
+    if (!step.next) return 0;
+    const sameRound = step.block.length > 1 && step.next.block === step.block && step.next.set === step.set;
+    return sameRound ? 0 : restAfter(day, day.exercises[step.idx]);
+  }
+
+  function startGuided() {
+    if (!state.program) return toast("No plan", "Generate a program first.");
+    guided = { dayIndex: state.todayIndex, skipped: [] };
+    renderToday();
+  }
+
+  function stopGuided() {
+    guided = null;
+    renderToday();
+  }
+
+  function renderGuided(wrap, day, pos) {
+    const steps = guidedSteps(day, pos.info);
+    const step = guidedCurrent(day, steps);
+    const panel = document.createElement("div");
+    panel.className = "guidedCard";
+
+    if (!step) {
+      panel.innerHTML = `
+        <div class="guidedStep">All sets done</div>
+        <div class="guidedName">Nice work 💪</div>
+        <div class="muted small">Rate the session and log it. Your next targets update from these sets.</div>
+        <div class="setActions">
+          <button class="btn" data-act="finish" type="button">Finish & Log</button>
+          <button class="btn ghost" data-act="undo" type="button">Undo last set</button>
+          <button class="btn ghost" data-act="exit" type="button">Exit guided</button>
+        </div>
+      `;
+    } else {
+      const { exObj, pr } = todaySession(day, pos.info)[step.idx];
+      const prLoad = targetLoad(pr);
+      const last = (exObj.loggedSets || []).slice(-1)[0];
+      const group = dayGroup(day, exObj);
+      const groupLabel = group ? `${GROUP_KIND_LABEL[group.kind]} ${groupLabels(day.exercises)[step.idx]} • ` : "";
+      const nextName = step.next ? sessionExercise(day, step.next.idx).name : null;
+      const fresh = day.exercises.every(x => !doneSets(x));
+
+      panel.innerHTML = `
+        ${fresh ? `<div class="warmupRow">Warm up first: ${sessionWarmup(day).map(escapeHTML).join(" • ")}</div>` : ""}
+        <div class="guidedStep">${groupLabel}Step ${step.at + 1} of ${steps.length}</div>
+        <div class="guidedName">${escapeHTML(exObj.name)}</div>
+        <div class="guidedSet">Set ${step.set} of ${pr.sets} • target ${escapeHTML(formatTarget(pr))}${pr.targetRpe != null ? ` • RPE ${pr.targetRpe}` : ""}${pr.adjusted ? " • adjusted for readiness" : ""}</div>
+        ${exObj.swappedFrom ? `<div class="help">Lighter variant of ${escapeHTML(exObj.swappedFrom)} for today</div>` : ""}
+        <div class="help">${escapeHTML(exObj.prescription.rpeHint)} • tempo ${escapeHTML(exObj.prescription.tempo)}${last ? ` • last set ${escapeHTML(formatSet(last))}` : ""}</div>
+        ${step.set === 1 && !last && warmupText(exObj, pr) ? `<div class="warmupRow">${escapeHTML(warmupText(exObj, pr))} — not logged</div>` : ""}
+
+        <div class="setInputs guidedInputs">
+          <input class="setInput" data-field="reps" type="number" inputmode="numeric" min="0" value="${last?.reps ?? pr.reps}" aria-label="Reps" />
+          <input class="weightInput" data-field="load" type="number" inputmode="decimal" min="0" step="any" value="${escapeHTML(exObj.workingWeight || (prLoad ?? ""))}" placeholder="${state.settings.units}…" aria-label="Load (${state.settings.units})" />
+          <select class="setInput" data-field="rpe" aria-label="RPE">
+            <option value="">RPE</option>
+            ${RPE_OPTIONS.map(r => `<option value="${r}"${last?.rpe === r ? " selected" : ""}>${r}</option>`).join("")}
+          </select>
+        </div>
+
+        <div class="setActions">
+          <button class="btn" data-act="log" type="button">Log set</button>
+          <button class="btn ghost" data-act="skip" type="button">Skip exercise</button>
+          <button class="btn ghost" data-act="undo" type="button">Undo last set</button>
+          <button class="btn ghost" data-act="exit" type="button">Exit guided</button>
+        </div>
+        <div class="help">${escapeHTML(loadingHint(exObj, workingLoad(exObj, pr)))}</div>
+        ${pr.limitNote ? `<div class="help warnText">Modified: ${escapeHTML(pr.limitNote)}</div>` : ""}
+        <div class="muted small">${nextName ? `Up next: ${escapeHTML(nextName)}${guidedRestAfter(day, step) ? ` after ${guidedRestAfter(day, step)}s rest` : " — no rest"}` : "Last set of the session."}</div>
+      `;
+    }
+    wrap.appendChild(panel);
+
+    panel.onclick = (e) => {
+      const b = e.target.closest("button[data-act]");
+      if (!b) return;
+      const act = b.dataset.act;
+
+      if (act === "exit") return stopGuided();
+      if (act === "finish") return openFinishWorkoutModal();
+      if (act === "undo") {
+        // newest set across the day, whatever exercise it belongs to
+        let latest = null;
+        day.exercises.forEach(x => (x.loggedSets || []).forEach((set, si) => {
+          if (!latest || set.at >= latest.set.at) latest = { x, si, set };
+        }));
+        if (!latest) return toast("Undo", "No sets logged yet.");
+        latest.x.loggedSets = latest.x.loggedSets.filter((_, i) => i !== latest.si);
+        guided.skipped = guided.skipped.filter(i => day.exercises[i] !== latest.x);
+        state._dirty = true; saveState(); renderToday();
+        return;
+      }
+      if (!step) return;
+      const exObj = day.exercises[step.idx];
+
+      if (act === "skip") {
+        guided.skipped.push(step.idx);
+        renderToday();
+      }
+      if (act === "log") {
+        const field = (name) => panel.querySelector(`[data-field="${name}"]`).value;
+        const set = makeSetEntry({ reps: field("reps"), load: field("load"), rpe: field("rpe") });
+        if (set.reps <= 0) return toast("Log Set", "Enter the reps you completed.");
+        exObj.loggedSets = [...(exObj.loggedSets || []), set];
+        if (set.load != null && !sessionExercise(day, step.idx).swappedFrom) exObj.workingWeight = String(set.load);
+        state._dirty = true; saveState();
+
+        const rest = guidedRestAfter(day, step);
+        if (rest) startTimer(rest);
+        renderToday();
+      }
+    };
+  }
+
   function renderHistory() {
     renderMiniStatus();
     const list = $("#historyList");
@@ -1044,18 +4130,460 @@
             <div class="histTitle">${escapeHTML(log.date)} • ${escapeHTML(log.dayLabel)}</div>
             <div class="histMeta">${escapeHTML(log.focus)} • ${escapeHTML(labelGoal(log.goal))} • Readiness: <b>${ready}</b></div>
           </div>
-          <div class="histBadges">
-            <span class="badge ${badgeIntensity}">Intensity: ${escapeHTML(log.intensity)}</span>
-            <span class="badge ${badgeCompletion}">Completion: ${Math.round(log.completedPct * 100)}%</span>
-            <span class="badge">Rating: ${log.rating}/5</span>
+          <div class="histBadges">
+            <span class="badge ${badgeIntensity}">Intensity: ${escapeHTML(log.intensity)}</span>
+            <span class="badge ${badgeCompletion}">Completion: ${Math.round(log.completedPct * 100)}%</span>
+            ${log.prs?.length ? `<span class="badge good">🏆 ${log.prs.length} PR${log.prs.length === 1 ? "" : "s"}</span>` : ""}
+            <span class="badge">Rating: ${log.rating}/5</span>
+          </div>
+        </div>
+        <div class="muted small" style="margin-top:10px;">
+          ${escapeHTML(log.summary)}
+        </div>
+        ${renderLoggedSetsHTML(log)}
+        ${renderPRListHTML(log.prs || [])}
+        <div class="setActions">
+          <button class="miniBtn" data-act="edit" data-id="${escapeHTML(log.id)}">Edit</button>
+          <button class="miniBtn" data-act="delete" data-id="${escapeHTML(log.id)}">Delete</button>
+        </div>
+      `;
+      list.appendChild(card);
+    });
+
+    list.onclick = (e) => {
+      const b = e.target.closest("button[data-act]");
+      if (!b) return;
+      if (b.dataset.act === "edit") openEditHistoryModal(b.dataset.id);
+      if (b.dataset.act === "delete") confirmDeleteHistory(b.dataset.id);
+    };
+  }
+
+  /* =========================
+     Calendar (month heatmap)
+     - logged sessions shaded by intensity or completion
+     - planned sessions come from the calendar schedule (settings.trainingDays),
+       or from the program's days per week when no weekdays are picked
+  ========================= */
+  let calendarMonth = null; // "YYYY-MM" on screen
+
+  function logDeload(log) {
+    const program = state.programs.find(p => p.id === log.programId);
+    return !!(program && log.blockWeek && programBlock(program).plan[log.blockWeek - 1]?.deload);
+  }
+
+  function logShade(log, mode) {
+    // 1..3, darker = harder / more complete
+    if (mode === "completion") return log.completedPct >= 0.95 ? 3 : log.completedPct >= 0.75 ? 2 : 1;
+    return log.intensity === "hard" ? 3 : log.intensity === "normal" ? 2 : 1;
+  }
+
+  function renderCalendar() {
+    renderMiniStatus();
+    const today = todayISO();
+    if (!calendarMonth) calendarMonth = today.slice(0, 7);
+    const mode = $("#calColor").value;
+
+    const first = `${calendarMonth}-01`;
+    const last = addDaysISO(`${addDaysISO(first, 31).slice(0, 7)}-01`, -1);
+    const gridStart = weekStartISO(first);
+    const cells = Array.from({ length: Math.ceil((daysBetween(gridStart, last) + 1) / 7) * 7 }, (_, i) => addDaysISO(gridStart, i));
+
+    const logsByDate = new Map();
+    state.history.forEach(h => logsByDate.set(h.date, [...(logsByDate.get(h.date) || []), h]));
+    const planned = new Map(plannedSessions(cells[0], cells[cells.length - 1]).map(p => [p.date, p]));
+    const programStart = state.program ? dateISO(new Date(state.program.createdAt)) : null;
+
+    $("#calMonthLabel").textContent = new Date(`${first}T00:00:00`).toLocaleDateString(undefined, { month: "long", year: "numeric" });
+    $("#calGrid").innerHTML = `
+      ${orderedWeekdays().map(d => `<div class="calWeekday">${WEEKDAY_LABEL[d]}</div>`).join("")}
+      ${cells.map(date => {
+        const logs = logsByDate.get(date) || [];
+        const plan = planned.get(date);
+        const shade = logs.length ? Math.max(...logs.map(l => logShade(l, mode))) : 0;
+        const deload = logs.some(logDeload) || !!plan?.pos.info.deload;
+        const missed = !logs.length && scheduleOn() && date < today && date >= programStart && isTrainingDate(date);
+        const cls = [
+          "calCell",
+          date.slice(0, 7) !== calendarMonth ? "out" : "",
+          date === today ? "today" : "",
+          shade ? `logged lvl${shade}` : "",
+          plan ? "planned" : "",
+          deload ? "deload" : "",
+          missed ? "missed" : ""
+        ].filter(Boolean).join(" ");
+        const mark = logs.length ? logs[0].dayLabel + (logs.length > 1 ? ` +${logs.length - 1}` : "") : plan ? plan.day.label : "";
+        return `
+          <button class="${cls}" data-date="${date}" type="button">
+            <span class="calNum">${Number(date.slice(8))}</span>
+            <span class="calMark">${escapeHTML(mark)}</span>
+          </button>
+        `;
+      }).join("")}
+    `;
+
+    $("#calGrid").onclick = (e) => {
+      const b = e.target.closest("button[data-date]");
+      if (b) openCalendarDay(b.dataset.date, planned.get(b.dataset.date));
+    };
+  }
+
+  function openCalendarDay(date, plan) {
+    const logs = state.history.filter(h => h.date === date);
+    const title = new Date(`${date}T00:00:00`).toLocaleDateString(undefined, { weekday: "long", month: "short", day: "numeric" });
+
+    const logsHTML = logs.map(log => `
+      <div class="histCard" style="margin-top:10px;">
+        <div class="histTitle">${escapeHTML(log.dayLabel)}${logDeload(log) ? ` <span class="tag">Deload</span>` : ""}</div>
+        <div class="histMeta">Intensity: ${escapeHTML(log.intensity)} • Completion: ${Math.round(log.completedPct * 100)}% • Rating: ${log.rating}/5</div>
+        <div class="muted small" style="margin-top:8px;">${escapeHTML(log.summary)}</div>
+        ${renderLoggedSetsHTML(log)}
+        <div class="setActions">
+          <button class="miniBtn" data-edit="${escapeHTML(log.id)}" type="button">Edit</button>
+        </div>
+      </div>
+    `).join("");
+
+    const planHTML = plan ? `
+      <div class="divider"></div>
+      <div><b>Planned: ${escapeHTML(plan.day.label)}</b> <span class="muted small">• ${escapeHTML(blockWeekLabel(plan.pos))}</span></div>
+      ${scheduleOn() ? "" : `<div class="help">Projected on default weekdays — pick your training days in Settings to pin sessions to dates.</div>`}
+      <div class="muted" style="margin-top:8px; line-height:1.55;">
+        ${plan.day.exercises.map(x => {
+          const pr = sessionPrescription(x, plan.pos.info);
+          return `• ${escapeHTML(x.name)}: ${escapeHTML(formatTarget(pr))}`;
+        }).join("<br/>")}
+      </div>
+    ` : "";
+
+    openModal({
+      title,
+      bodyHTML: logsHTML || planHTML
+        ? logsHTML + planHTML
+        : `<div class="muted">${scheduleOn() && isTrainingDate(date) ? "Nothing logged." : "Rest day — nothing logged or planned."}</div>`,
+      footHTML: `<button class="btn ghost" type="button" onclick="document.getElementById('modalClose').click()">Close</button>`
+    });
+
+    modalBody.onclick = (e) => {
+      const b = e.target.closest("button[data-edit]");
+      if (b) openEditHistoryModal(b.dataset.edit);
+    };
+  }
+
+  let progressLoad = null; // selected load for the "best reps at load" chart
+
+  function renderProgress() {
+    renderMiniStatus();
+    const unit = state.settings.units;
+    const sel = $("#progressExercise");
+    const charts = $("#progressCharts");
+    const options = loggedExercises();
+
+    if (!options.length) {
+      sel.innerHTML = `<option value="">No logged sets yet</option>`;
+      charts.innerHTML = `
+        <div class="empty">
+          <div class="emptyTitle">No data yet</div>
+          <div class="emptyText">Log sets with reps and load on Today’s Workout to see progress charts.</div>
+        </div>
+      `;
+    } else {
+      const current = options.some(o => o.exId === sel.value) ? sel.value : options[0].exId;
+      sel.innerHTML = options.map(o => `<option value="${escapeHTML(o.exId)}">${escapeHTML(o.name)} (${o.sessions})</option>`).join("");
+      sel.value = current;
+
+      const series = exerciseSeries(current, unit);
+      const loads = [...new Set(series.flatMap(p => p.sets.map(x => round(x.load || 0, 1))))].filter(x => x > 0).sort((a, b) => a - b);
+      if (!loads.includes(progressLoad)) progressLoad = loads[loads.length - 1] ?? null;
+      const line = (key, label) => [{ label, points: series.map(p => ({ x: p.date, y: p[key] })).filter(p => p.y > 0) }];
+
+      charts.innerHTML = `
+        <div class="chartCard">
+          <div class="chartHead"><div><div class="chartTitle">Top-set load</div><div class="chartSub">Heaviest set per session (${unit})</div></div></div>
+          ${svgLineChart(line("topLoad", "Top set"), { unit })}
+        </div>
+        <div class="chartCard">
+          <div class="chartHead"><div><div class="chartTitle">Estimated 1RM</div><div class="chartSub">Best Epley estimate per session (${unit})</div></div></div>
+          ${svgLineChart(line("e1rm", "e1RM"), { unit })}
+        </div>
+        <div class="chartCard">
+          <div class="chartHead"><div><div class="chartTitle">Total volume</div><div class="chartSub">Load × reps per session (${unit})</div></div></div>
+          ${svgLineChart(line("volume", "Volume"), { unit })}
+        </div>
+        <div class="chartCard">
+          <div class="chartHead">
+            <div><div class="chartTitle">Best reps at load</div><div class="chartSub">Most reps in one set at ≥ the chosen load</div></div>
+            ${loads.length ? `<select id="progressLoad" aria-label="Load">${loads.map(l => `<option value="${l}" ${l === progressLoad ? "selected" : ""}>${l} ${unit}</option>`).join("")}</select>` : ""}
+          </div>
+          ${svgLineChart([{ label: "Best reps", points: progressLoad == null ? [] : bestRepsAtLoadSeries(series, progressLoad) }], { unit: "reps" })}
+        </div>
+      `;
+      const loadSel = $("#progressLoad");
+      if (loadSel) loadSel.onchange = () => { progressLoad = Number(loadSel.value); renderProgress(); };
+    }
+
+    $("#prBoard").innerHTML = renderPRBoard();
+
+    const model = loadModel();
+    const recent = model.series.slice(-56);
+    $("#loadChart").innerHTML = svgLineChart([
+      { label: "Acute (7d)", points: recent.map(p => ({ x: p.x, y: p.acute })) },
+      { label: "Chronic (28d)", points: recent.map(p => ({ x: p.x, y: p.chronic })) }
+    ], { unit: "AU" }) + (state.history.length ? `
+      <div class="muted small">ACWR now <b>${model.acwr}</b> (${escapeHTML(acwrBand(model.acwr).label)}) • sweet spot 0.8–1.3 • above 1.5 is a spike</div>
+    ` : "");
+
+    const weeks = weeklyTonnage(unit);
+    $("#tonnageChart").innerHTML = svgLineChart(
+      Object.keys(CATEGORY_LABEL).map(cat => ({
+        label: CATEGORY_LABEL[cat],
+        points: weeks.map(([wk, row]) => ({ x: wk, y: round(row[cat], 1) }))
+      })),
+      { unit }
+    );
+  }
+
+  function renderPRListHTML(prs, title = "") {
+    if (!prs.length) return "";
+    return `
+      <div class="prList">
+        ${title ? `<div class="divider"></div><div><b>🏆 ${escapeHTML(title)}</b></div>` : ""}
+        ${prs.map(pr => `
+          <div class="prRow">
+            <span class="prTag">PR</span>
+            <b>${escapeHTML(pr.name)}</b>
+            <span class="muted">${escapeHTML(formatPR(pr))}${pr.prev != null ? ` (was ${escapeHTML(String(pr.prev))})` : ""}</span>
+          </div>
+        `).join("")}
+      </div>
+    `;
+  }
+
+  function renderPRBoard() {
+    const unit = state.settings.units;
+    const bests = buildBests();
+    const rows = loggedExercises().map(o => ({ ...o, b: bests.get(o.exId) })).filter(o => o.b);
+    if (!rows.length) {
+      return `<div class="empty"><div class="emptyTitle">No records yet</div><div class="emptyText">Records appear once sets are logged.</div></div>`;
+    }
+    const cell = (v) => (v ? `<b>${v.value}</b> ${escapeHTML(unit)}<div class="chartSub">${escapeHTML(v.date)}</div>` : "—");
+    return `
+      <div class="prBoard">
+        ${rows.map(({ name, b }) => {
+          const repPRs = [...b.repsAt.entries()]
+            .sort(([a], [c]) => c - a)
+            .slice(0, 3)
+            .map(([load, v]) => `${v.reps} @ ${load ? `${load} ${unit}` : "BW"}`)
+            .join(" • ");
+          return `
+            <div class="prBoardRow">
+              <div class="prBoardName">${escapeHTML(name)}</div>
+              <div class="prBoardCell"><div class="chartSub">${PR_LABEL.load}</div>${cell(b.load)}</div>
+              <div class="prBoardCell"><div class="chartSub">${PR_LABEL.e1rm}</div>${cell(b.e1rm)}</div>
+              <div class="prBoardCell"><div class="chartSub">${PR_LABEL.volume}</div>${cell(b.volume)}</div>
+              <div class="prBoardCell"><div class="chartSub">Rep records</div>${escapeHTML(repPRs || "—")}</div>
+            </div>
+          `;
+        }).join("")}
+      </div>
+    `;
+  }
+
+  function renderLoggedSetsHTML(log) {
+    const labels = groupLabels(log.exercises || []);
+    const done = (log.exercises || []).map((x, i) => ({ ...x, label: labels[i] })).filter(x => x.sets?.length);
+    if (!done.length) return "";
+    const unit = log.units || state.settings.units;
+    return `
+      <div class="histSets">
+        ${done.map(x => {
+          const vol = round(x.sets.reduce((a, set) => a + setVolume(set, unit), 0), 1);
+          return `
+            <div class="histSetRow">
+              <b>${x.label ? `<span class="groupLabel">${x.label}</span> ` : ""}${escapeHTML(displayName(x))}</b>
+              <span class="muted">${escapeHTML(x.sets.map(formatSet).join(" · "))}${vol ? ` • vol ${vol} ${escapeHTML(unit)}` : ""}</span>
+            </div>
+          `;
+        }).join("")}
+      </div>
+    `;
+  }
+
+  /* =========================
+     History Editing
+  ========================= */
+  function afterHistoryChange() {
+    recomputeFromHistory();
+    renderDashboard();
+    renderHistory();
+    if ($("#view-calendar").classList.contains("active")) renderCalendar();
+  }
+
+  function confirmDeleteHistory(id) {
+    const log = state.history.find(h => h.id === id);
+    if (!log) return;
+
+    openModal({
+      title: "Delete Log",
+      bodyHTML: `
+        <div class="muted">Delete <b>${escapeHTML(log.date)} • ${escapeHTML(log.dayLabel)}</b>?</div>
+        <div class="help" style="margin-top:8px;">Streak, PRs and smart scores are recalculated from the remaining history.</div>
+      `,
+      footHTML: `
+        <button class="btn ghost" id="hdCancel" type="button">Cancel</button>
+        <button class="btn danger" id="hdGo" type="button">Delete</button>
+      `
+    });
+    $("#hdCancel").onclick = () => closeModal();
+    $("#hdGo").onclick = () => {
+      state.history = state.history.filter(h => h.id !== id);
+      persist(s => s.deleteHistory(id));
+      afterHistoryChange();
+      closeModal();
+      toast("Deleted", "Log removed.");
+    };
+  }
+
+  function editSetsHTML(exercises) {
+    if (!exercises.length) return `<div class="help">This log has no per-set data.</div>`;
+    return exercises.map((x, xi) => `
+      <div class="histSetRow" style="margin-top:10px;">
+        <b>${escapeHTML(displayName(x))}</b>
+        ${x.sets.map((set, si) => `
+          <div class="setInputs editSet">
+            <input class="setInput" data-ex="${xi}" data-set="${si}" data-field="reps" type="number" inputmode="numeric" min="0" value="${set.reps}" aria-label="Reps" />
+            <input class="setInput" data-ex="${xi}" data-set="${si}" data-field="load" type="number" inputmode="decimal" min="0" step="any" value="${set.load ?? ""}" placeholder="${escapeHTML(set.unit)}…" aria-label="Load (${escapeHTML(set.unit)})" />
+            <select class="setInput" data-ex="${xi}" data-set="${si}" data-field="rpe" aria-label="RPE">
+              <option value="">RPE</option>
+              ${RPE_OPTIONS.map(r => `<option value="${r}" ${set.rpe === r ? "selected" : ""}>${r}</option>`).join("")}
+            </select>
+            <button class="miniBtn" data-act="rmSet" data-ex="${xi}" data-set="${si}" aria-label="Remove set ${si + 1}">×</button>
+          </div>
+        `).join("")}
+        <div class="setActions">
+          <button class="miniBtn" data-act="addSet" data-ex="${xi}">+ Set</button>
+        </div>
+      </div>
+    `).join("");
+  }
+
+  function completionFromSets(exercises) {
+    const targeted = exercises.filter(x => x.target?.sets);
+    const total = targeted.reduce((a, x) => a + x.target.sets, 0);
+    if (!total) return null;
+    return targeted.reduce((a, x) => a + Math.min(x.sets.length, x.target.sets), 0) / total;
+  }
+
+  function openEditHistoryModal(id) {
+    const log = state.history.find(h => h.id === id);
+    if (!log) return;
+    const draft = structuredClone(log.exercises || []);
+    const unit = log.units || state.settings.units;
+
+    openModal({
+      title: "Edit Log",
+      bodyHTML: `
+        <div class="formGrid">
+          <div class="field">
+            <label for="heDate">Date</label>
+            <input id="heDate" type="date" value="${escapeHTML(log.date)}" />
+          </div>
+          <div class="field">
+            <label for="heDay">Day label</label>
+            <input id="heDay" value="${escapeHTML(log.dayLabel)}" />
+          </div>
+          <div class="field">
+            <label for="heIntensity">Intensity</label>
+            <select id="heIntensity">
+              ${["easy", "normal", "hard"].map(v => `<option value="${v}" ${log.intensity === v ? "selected" : ""}>${v[0].toUpperCase() + v.slice(1)}</option>`).join("")}
+            </select>
+          </div>
+          <div class="field">
+            <label for="heRating">Session rating (1–5)</label>
+            <select id="heRating">
+              ${[1, 2, 3, 4, 5].map(v => `<option value="${v}" ${log.rating === v ? "selected" : ""}>${v}</option>`).join("")}
+            </select>
+          </div>
+          <div class="field">
+            <label for="heMinutes">Duration (min)</label>
+            <input id="heMinutes" type="number" inputmode="numeric" min="1" max="300" value="${sessionMinutes(log)}" />
+          </div>
+          <div class="field">
+            <label for="heCompletion">Completion (%)</label>
+            <input id="heCompletion" type="number" inputmode="numeric" min="0" max="100" value="${Math.round(log.completedPct * 100)}" />
+            ${completionFromSets(draft) != null ? `<button class="miniBtn" id="heCompletionFromSets" type="button">Use logged sets</button>` : ""}
           </div>
         </div>
-        <div class="muted small" style="margin-top:10px;">
-          ${escapeHTML(log.summary)}
+
+        <div class="field" style="margin-top:10px;">
+          <label for="heSummary">Summary</label>
+          <textarea id="heSummary" rows="3">${escapeHTML(log.summary || "")}</textarea>
         </div>
-      `;
-      list.appendChild(card);
+
+        <div class="divider"></div>
+        <div><b>Sets</b></div>
+        <div class="help">Reps • load (${escapeHTML(unit)}, blank = bodyweight) • RPE</div>
+        <div id="heSets">${editSetsHTML(draft)}</div>
+      `,
+      footHTML: `
+        <button class="btn ghost" id="heCancel" type="button">Cancel</button>
+        <button class="btn" id="heSave" type="button">Save Changes</button>
+      `
     });
+
+    // Inputs are the source of truth until save; pull them into the draft
+    // before any re-render so typed values survive adding/removing sets
+    const readDraft = () => {
+      $$("#heSets [data-field]").forEach(el => {
+        const set = draft[Number(el.dataset.ex)].sets[Number(el.dataset.set)];
+        const { field } = el.dataset;
+        if (field === "reps") set.reps = clamp(Math.round(Number(el.value) || 0), 0, 100);
+        if (field === "load") {
+          const n = parseFloat(el.value);
+          set.load = Number.isFinite(n) && n > 0 ? round(n, 2) : null;
+        }
+        if (field === "rpe") set.rpe = el.value === "" ? null : clamp(Number(el.value), 1, 10);
+      });
+    };
+
+    $("#heSets").onclick = (e) => {
+      const b = e.target.closest("button[data-act]");
+      if (!b) return;
+      readDraft();
+      const x = draft[Number(b.dataset.ex)];
+      if (b.dataset.act === "addSet") {
+        const last = x.sets[x.sets.length - 1];
+        x.sets.push({ reps: last?.reps ?? 0, load: last?.load ?? null, unit, rpe: null, at: log.loggedAt || new Date().toISOString() });
+      }
+      if (b.dataset.act === "rmSet") x.sets.splice(Number(b.dataset.set), 1);
+      $("#heSets").innerHTML = editSetsHTML(draft);
+    };
+
+    const fromSets = $("#heCompletionFromSets");
+    if (fromSets) fromSets.onclick = () => {
+      readDraft();
+      $("#heCompletion").value = Math.round(completionFromSets(draft) * 100);
+    };
+
+    $("#heCancel").onclick = () => closeModal();
+    $("#heSave").onclick = () => {
+      const date = $("#heDate").value;
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return toast("Edit Log", "Pick a valid date.");
+      readDraft();
+
+      log.date = date;
+      log.dayLabel = ($("#heDay").value || "").trim() || log.dayLabel;
+      log.intensity = $("#heIntensity").value;
+      log.rating = Number($("#heRating").value);
+      log.completedPct = round(clamp(Number($("#heCompletion").value) || 0, 0, 100) / 100, 3);
+      log.durationMin = clamp(Math.round(Number($("#heMinutes").value) || sessionMinutes(log)), 1, 300);
+      log.summary = ($("#heSummary").value || "").trim();
+      log.exercises = draft.map(x => ({ ...x, sets: x.sets.filter(set => set.reps > 0) }));
+      log.editedAt = new Date().toISOString();
+
+      afterHistoryChange();
+      closeModal();
+      toast("Updated", "Log saved. Streak, PRs and smart scores recalculated.");
+    };
   }
 
   function renderLibrary(filter = "") {
@@ -1064,39 +4592,276 @@
     grid.innerHTML = "";
 
     const q = (filter || "").toLowerCase().trim();
-    const items = EX.filter(x => !q || x.name.toLowerCase().includes(q) || x.category.includes(q) || x.muscle.includes(q));
+    const ownedOnly = $("#libOwnedOnly").checked && !!state.profile;
+    const owned = ownedEquipment(state.profile);
+    const items = allExercises()
+      .filter(x => !ownedOnly || canPerform(x, owned))
+      .filter(x => !q || x.name.toLowerCase().includes(q) || x.category.includes(q) || x.muscle.includes(q));
 
     items.forEach((x) => {
       const el = document.createElement("div");
       el.className = "libCard";
       el.innerHTML = `
-        <div class="libName">${escapeHTML(x.name)}</div>
+        <div class="libName">${escapeHTML(x.name)}${x.custom ? ` <span class="tag">Custom</span>` : ""}</div>
         <div class="libMeta">${escapeHTML(CATEGORY_LABEL[x.category] || x.category)} • ${escapeHTML(x.muscle)} • ${escapeHTML(x.env.toUpperCase())}</div>
-        <div class="libMeta">Alternatives: ${x.alts?.length ? escapeHTML(x.alts.join(", ")) : "—"}</div>
+        <div class="libMeta">Needs: ${escapeHTML(equipmentLabel(x))}</div>
+        <div class="libMeta">Alternatives: ${x.alts?.length ? escapeHTML(x.alts.map(exerciseName).join(", ")) : "—"}</div>
       `;
       el.addEventListener("click", () => {
         openModal({
           title: x.name,
           bodyHTML: `
             <div class="muted">Category: <b>${escapeHTML(CATEGORY_LABEL[x.category] || x.category)}</b></div>
-            <div class="muted" style="margin-top:6px;">Muscle: <b>${escapeHTML(x.muscle)}</b></div>
+            <div class="muted" style="margin-top:6px;">Primary muscles: <b>${escapeHTML((x.primary || [x.muscle]).map(muscleLabel).join(", "))}</b></div>
+            <div class="muted" style="margin-top:6px;">Secondary muscles: <b>${escapeHTML((x.secondary || []).map(muscleLabel).join(", ") || "—")}</b></div>
             <div class="muted" style="margin-top:6px;">Environment: <b>${escapeHTML(x.env)}</b></div>
+            <div class="muted" style="margin-top:6px;">Equipment: <b>${escapeHTML(equipmentLabel(x))}</b></div>
+            <div class="muted" style="margin-top:6px;">Pattern: <b>${escapeHTML(PATTERN_LABEL[x.pattern] || "—")}</b></div>
+            <div class="muted" style="margin-top:6px;">Stresses: <b>${escapeHTML(Object.entries(x.stress || {}).map(([r, n]) => `${REGION_LABEL[r] || r}${n >= 2 ? " (heavy)" : ""}`).join(", ") || "—")}</b></div>
             <div class="divider"></div>
             <div><b>Alternatives</b></div>
             <div class="muted" style="margin-top:6px; line-height:1.5;">
-              ${x.alts?.length ? escapeHTML(x.alts.join(" • ")) : "No alternatives listed."}
+              ${x.alts?.length ? escapeHTML(x.alts.map(exerciseName).join(" • ")) : "No alternatives listed."}
             </div>
           `,
-          footHTML: `<button class="btn ghost" type="button" onclick="document.getElementById('modalClose').click()">Close</button>`
+          footHTML: `
+            ${x.custom ? `
+              <button class="btn danger" id="cxDelete" type="button">Delete</button>
+              <button class="btn" id="cxEdit" type="button">Edit</button>
+            ` : ""}
+            <button class="btn ghost" type="button" onclick="document.getElementById('modalClose').click()">Close</button>
+          `
         });
+        if (!x.custom) return;
+        const record = state.customExercises.find(r => r.id === x.id);
+        $("#cxEdit").onclick = () => openExerciseForm({ record });
+        $("#cxDelete").onclick = () => deleteCustomExercise(record);
       });
       grid.appendChild(el);
     });
   }
 
+  /* =========================
+     Custom Exercises
+     - stored in source form, like a row of the EX table, and registered via ex()
+     - the id is the slug of the name it was created with and never changes,
+       so adding a listed-but-missing alternative makes that alternative resolve
+  ========================= */
+  function syncCustomExercises() {
+    CUSTOM_BY_ID = new Map((state.customExercises || []).map(r => [
+      r.id,
+      { ...ex(r.name, r.category, r.muscle, r.env, r.equipment, r.altNames, r.id), pattern: r.pattern || null, primary: [r.muscle], secondary: r.secondary || [], stress: r.stress || {}, custom: true }
+    ]));
+    CUSTOM_BY_ID.forEach(e => KNOWN_NAMES.set(e.id, e.name));
+  }
+
+  function openExerciseForm({ record = null, preset = {}, onSaved = null } = {}) {
+    const v = { pattern: null, secondary: [], stress: {}, ...(record || { name: "", category: "push", muscle: "", env: "gym", equipment: [], altNames: [], ...preset }) };
+    const muscles = [...new Set(allExercises().map(e => e.muscle))].sort();
+
+    openModal({
+      title: record ? "Edit Exercise" : "New Exercise",
+      bodyHTML: `
+        <div class="formGrid">
+          <div class="field">
+            <label for="cxName">Name</label>
+            <input id="cxName" value="${escapeHTML(v.name)}" placeholder="e.g. Landmine Press" />
+          </div>
+          <div class="field">
+            <label for="cxCategory">Category</label>
+            <select id="cxCategory">
+              ${Object.entries(CATEGORY_LABEL).map(([k, label]) => `<option value="${k}" ${v.category === k ? "selected" : ""}>${label}</option>`).join("")}
+            </select>
+          </div>
+          <div class="field">
+            <label for="cxMuscle">Main muscle</label>
+            <input id="cxMuscle" list="cxMuscles" value="${escapeHTML(v.muscle)}" placeholder="e.g. chest" />
+            <datalist id="cxMuscles">${muscles.map(m => `<option value="${escapeHTML(m)}"></option>`).join("")}</datalist>
+          </div>
+          <div class="field">
+            <label for="cxEnv">Environment</label>
+            <select id="cxEnv">
+              <option value="gym" ${v.env === "gym" ? "selected" : ""}>Gym</option>
+              <option value="home" ${v.env === "home" ? "selected" : ""}>Home</option>
+            </select>
+          </div>
+        </div>
+
+        <div class="field" style="margin-top:10px;">
+          <label for="cxSecondary">Secondary muscles</label>
+          <input id="cxSecondary" value="${escapeHTML(v.secondary.join(", "))}" placeholder="Comma separated, e.g. triceps, shoulders" />
+          <div class="help">Each set counts half a set toward these muscles' weekly volume.</div>
+        </div>
+
+        <div class="field" style="margin-top:10px;">
+          <label>Equipment needed</label>
+          <div class="rowWrap">
+            ${Object.entries(EQUIPMENT_LABEL).map(([k, label]) => `
+              <div class="toggle compact">
+                <input type="checkbox" id="cxEq_${k}" data-eq="${k}" ${v.equipment.includes(k) ? "checked" : ""} />
+                <label for="cxEq_${k}">${label}</label>
+              </div>
+            `).join("")}
+          </div>
+          <div class="help">Leave all unchecked for bodyweight.</div>
+        </div>
+
+        <div class="formGrid" style="margin-top:10px;">
+          <div class="field">
+            <label for="cxPattern">Movement pattern</label>
+            <select id="cxPattern">
+              <option value="">—</option>
+              ${Object.entries(PATTERN_LABEL).map(([k, label]) => `<option value="${k}" ${v.pattern === k ? "selected" : ""}>${label}</option>`).join("")}
+            </select>
+          </div>
+          ${Object.entries(REGION_LABEL).map(([k, label]) => `
+            <div class="field">
+              <label for="cxStress_${k}">${label} stress</label>
+              <select id="cxStress_${k}" data-stress="${k}">
+                <option value="0">None</option>
+                <option value="1" ${v.stress[k] === 1 ? "selected" : ""}>Some</option>
+                <option value="2" ${v.stress[k] === 2 ? "selected" : ""}>Heavy</option>
+              </select>
+            </div>
+          `).join("")}
+        </div>
+        <div class="help">Used to keep this exercise out of plans (or lighten it) when a limitation covers the region.</div>
+
+        <div class="field" style="margin-top:10px;">
+          <label for="cxAlts">Alternatives</label>
+          <input id="cxAlts" value="${escapeHTML(v.altNames.join(", "))}" placeholder="Comma separated, e.g. Push-ups, Dumbbell Bench Press" />
+          <div class="help">Offered first when you swap this exercise.</div>
+        </div>
+      `,
+      footHTML: `
+        <button class="btn ghost" id="cxCancel" type="button">Cancel</button>
+        <button class="btn" id="cxSave" type="button">${record ? "Save Changes" : "Add Exercise"}</button>
+      `
+    });
+
+    $("#cxCancel").onclick = () => closeModal();
+    $("#cxSave").onclick = () => {
+      const name = ($("#cxName").value || "").trim();
+      const id = record?.id || slugify(name);
+      if (!name || !id) return toast("Exercise", "Give the exercise a name.");
+      const clash = allExercises().find(e => e.id !== record?.id && (e.id === id || e.name.toLowerCase() === name.toLowerCase()));
+      if (clash) return toast("Exercise", `“${clash.name}” is already in the library.`);
+
+      const muscle = ($("#cxMuscle").value || "").trim().toLowerCase() || "other";
+      const next = {
+        id,
+        name,
+        category: $("#cxCategory").value,
+        muscle,
+        env: $("#cxEnv").value,
+        equipment: $$("#modalBody [data-eq]").filter(el => el.checked).map(el => el.dataset.eq),
+        altNames: [...new Set(($("#cxAlts").value || "").split(",").map(a => a.trim()).filter(a => a && slugify(a) !== id))],
+        pattern: $("#cxPattern").value || null,
+        secondary: [...new Set(($("#cxSecondary").value || "").split(",").map(m => m.trim().toLowerCase().replace(/\s+/g, "_")).filter(m => m && m !== muscle))],
+        stress: Object.fromEntries($$("#modalBody [data-stress]").map(el => [el.dataset.stress, Number(el.value)]).filter(([, n]) => n > 0)),
+        createdAt: record?.createdAt || new Date().toISOString()
+      };
+
+      state.customExercises = record
+        ? state.customExercises.map(r => r.id === id ? next : r)
+        : [...state.customExercises, next];
+      syncCustomExercises();
+
+      // Plan copies carry their own name/metadata; keep every saved plan in step
+      // with edits (the active one is among state.programs)
+      const e = exerciseById(id);
+      state.programs.forEach(p => p.week?.forEach(d => d.exercises.forEach(x => {
+        if (x.exId !== id) return;
+        Object.assign(x, { name: e.name, category: e.category, muscle: e.muscle, env: e.env, equipment: e.equipment, alts: e.alts });
+      })));
+
+      state._dirty = true;
+      saveState();
+      closeModal();
+      toast("Library", record ? `${name} updated.` : `${name} added to your library.`);
+      renderLibrary($("#libSearch").value);
+      if (onSaved) onSaved(e);
+    };
+  }
+
+  function deleteCustomExercise(record) {
+    const inPlan = state.program?.week?.some(d => d.exercises.some(x => x.exId === record.id));
+    openModal({
+      title: "Delete Exercise",
+      bodyHTML: `
+        <div class="muted">Delete <b>${escapeHTML(record.name)}</b> from your library?</div>
+        <div class="help" style="margin-top:8px;">
+          Logged sets keep their name.${inPlan ? " It stays in your current plan until you swap it out or generate again." : ""}
+        </div>
+      `,
+      footHTML: `
+        <button class="btn ghost" id="cxdCancel" type="button">Cancel</button>
+        <button class="btn danger" id="cxdGo" type="button">Delete</button>
+      `
+    });
+    $("#cxdCancel").onclick = () => closeModal();
+    $("#cxdGo").onclick = () => {
+      state.customExercises = state.customExercises.filter(r => r.id !== record.id);
+      syncCustomExercises();
+      state._dirty = true;
+      saveState();
+      closeModal();
+      toast("Library", `${record.name} deleted.`);
+      renderLibrary($("#libSearch").value);
+    };
+  }
+
   function renderSettings() {
     $("#units").value = state.settings.units;
     $("#startWeek").value = state.settings.startWeek;
+    $("#missedRule").value = state.settings.missedRule;
+    const kit = loadingKit();
+    $$(".loadUnit").forEach(el => { el.textContent = state.settings.units; });
+    $("#loadBar").value = kit.bar;
+    $("#loadPlates").value = kit.plates.join(", ");
+    $("#loadDbStep").value = kit.dumbbellStep;
+    $("#loadDbMax").value = kit.dumbbellMax;
+    updatePlateCalc();
+    $("#trainingDays").innerHTML = orderedWeekdays().map(d => `
+      <div class="toggle compact">
+        <input type="checkbox" id="trainDay${d}" data-weekday="${d}" ${state.settings.trainingDays.includes(d) ? "checked" : ""} />
+        <label for="trainDay${d}">${WEEKDAY_LABEL[d]}</label>
+      </div>
+    `).join("");
+  }
+
+  function updatePlateCalc() {
+    const load = parseFloat($("#plateCalcLoad").value);
+    $("#plateCalcOut").textContent = load > 0 ? formatPlates(load) : "Enter a total bar weight.";
+  }
+
+  function loadingSettingsChanged() {
+    const num = (id, min, max) => {
+      const n = parseFloat($(id).value);
+      return Number.isFinite(n) ? clamp(round(n, 2), min, max) : null;
+    };
+    const kit = loadingKit();
+    const plates = parsePlates($("#loadPlates").value);
+    const next = {
+      bar: num("#loadBar", 0, 100) ?? kit.bar,
+      plates: plates.length ? plates : kit.plates,
+      dumbbellStep: num("#loadDbStep", 0.5, 20) ?? kit.dumbbellStep,
+      dumbbellMax: num("#loadDbMax", 1, 200) ?? kit.dumbbellMax,
+    };
+    if (!plates.length) toast("Loading", "List at least one plate size.");
+    state.settings.loading[state.settings.units] = next;
+    saveState();
+    renderSettings();
+    renderToday();
+  }
+
+  function scheduleSettingsChanged(message) {
+    state.schedule.date = null; // re-resolve today's session under the new rules
+    syncTodayWithCalendar();
+    saveState();
+    toast("Settings", message);
+    renderSettings();
+    renderDashboard();
   }
 
   /* =========================
@@ -1104,28 +4869,47 @@
   ========================= */
   function openSwapModal(dayIndex, exIndex, fromToday = false) {
     const exObj = state.program.week[dayIndex].exercises[exIndex];
-    const altNames = exObj.alts || [];
-    const candidates = EX
-      .filter(e => e.category === exObj.category)
-      .map(e => e.name)
-      .filter(n => n !== exObj.name);
+    const owned = ownedEquipment(state.program.profile);
+    const limitations = state.program.profile.limitations || [];
+    const safe = (e) => canPerform(e, owned) && checkLimitations(e, limitations).action !== "exclude";
+    const doable = (id) => {
+      const e = exerciseById(id);
+      return !!e && safe(e);
+    };
+    const altIds = (exObj.alts || []).filter(doable);
+    const candidates = allExercises()
+      .filter(e => e.category === exObj.category && safe(e))
+      .map(e => e.id)
+      .filter(id => id !== exObj.exId);
 
     // Prefer listed alternatives; then other same-category
-    const merged = [...new Set([...altNames, ...candidates])].slice(0, 12);
+    const merged = [...new Set([...altIds, ...candidates])].slice(0, 12);
+    // Listed alternatives the library doesn't have yet can be added on the spot
+    const missing = (exObj.alts || []).filter(id => !exerciseById(id));
 
-    const itemsHTML = merged.map((name) => {
-      return `<button class="btn soft" data-swap="${escapeHTML(name)}" type="button" style="width:100%; justify-content:flex-start; margin-top:8px;">
-        ${escapeHTML(name)}
+    const itemsHTML = merged.map((id) => {
+      return `<button class="btn soft" data-swap="${escapeHTML(id)}" type="button" style="width:100%; justify-content:flex-start; margin-top:8px;">
+        ${escapeHTML(exerciseName(id))}
       </button>`;
     }).join("");
 
     openModal({
       title: "Swap Exercise",
       bodyHTML: `
-        <div class="muted small">Replacing: <b>${escapeHTML(exObj.name)}</b></div>
+        <div class="muted small">Replacing: <b>${escapeHTML(exObj.name)}</b>${limitations.length ? " • exercises your limitations rule out are hidden" : ""}</div>
         <div class="divider"></div>
         <div><b>Pick a replacement</b></div>
         <div>${itemsHTML || `<div class="muted" style="margin-top:10px;">No options available.</div>`}</div>
+        ${missing.length ? `
+          <div class="divider"></div>
+          <div><b>Not in your library yet</b></div>
+          ${missing.map(id => `
+            <div class="row" style="justify-content:space-between; margin-top:8px;">
+              <span class="muted">${escapeHTML(exerciseName(id))}</span>
+              <button class="miniBtn" data-addalt="${escapeHTML(id)}" type="button">Add to library</button>
+            </div>
+          `).join("")}
+        ` : ""}
       `,
       footHTML: `
         <button class="btn ghost" id="swapCancel" type="button">Cancel</button>
@@ -1134,11 +4918,16 @@
 
     $("#swapCancel").onclick = () => closeModal();
     modalBody.onclick = (e) => {
+      const add = e.target.closest("button[data-addalt]");
+      if (add) {
+        return openExerciseForm({
+          preset: { name: exerciseName(add.dataset.addalt), category: exObj.category, muscle: exObj.muscle, env: state.program.profile.mode },
+          onSaved: () => openSwapModal(dayIndex, exIndex, fromToday)
+        });
+      }
       const b = e.target.closest("button[data-swap]");
       if (!b) return;
-      const newName = b.dataset.swap;
-
-      const newEx = EX.find(x => x.name === newName);
+      const newEx = exerciseById(b.dataset.swap);
       if (!newEx) return;
 
       // Keep prescription style; re-run prescriber for the new name
@@ -1149,7 +4938,7 @@
         minutes: Number(profile.minutes),
         tone: profile.tone,
         mode: profile.mode,
-        exerciseName: newEx.name
+        exercise: newEx
       });
 
       exObj.name = newEx.name;
@@ -1157,10 +4946,24 @@
       exObj.category = newEx.category;
       exObj.muscle = newEx.muscle;
       exObj.env = newEx.env;
+      exObj.equipment = newEx.equipment;
       exObj.alts = newEx.alts;
-      exObj.prescription = { ...exObj.prescription, rest: p.rest, tempo: p.tempo, rpeHint: p.rpeHint };
-      exObj.completedSets = 0;
+      const reps = exObj.prescription.reps;
+      exObj.prescription = {
+        ...exObj.prescription,
+        rest: p.rest,
+        tempo: p.tempo,
+        rpeHint: p.rpeHint,
+        progression: p.progression,
+        repRange: [reps, clamp(reps + p.repSpan, reps, 20)],
+        targetRpe: p.targetRpe,
+        load: null
+      };
+      applyLimitations(exObj, limitations);
+      exObj.workingWeight = "";
+      exObj.loggedSets = [];
       exObj.notes = exObj.notes || "";
+      state.program.revision = (state.program.revision || 1) + 1;
 
       state._dirty = true;
       saveState();
@@ -1205,59 +5008,264 @@
   /* =========================
      Timer
   ========================= */
+  /* Timer state is { mode, config, running, startedAt, elapsedBefore, laps }.
+     Elapsed time is always derived from Date.now(), never counted by ticks,
+     so a throttled background tab or a reload doesn't drift the clock. */
+  const TIMER_MODES = {
+    rest: { label: "Rest" },
+    emom: { label: "EMOM" },
+    amrap: { label: "AMRAP", lap: "Round +1" },
+    interval: { label: "Tabata / Interval" },
+    stopwatch: { label: "Stopwatch", lap: "Lap" },
+  };
+
   let timerInterval = null;
+  let timerLastPhase = null; // phase key seen on the previous tick, to cue transitions
+
+  function timerElapsed(t = state.timer, now = Date.now()) {
+    return t.elapsedBefore + (t.running ? Math.max(0, now - t.startedAt) : 0);
+  }
+
+  function timerTotal(t = state.timer) {
+    // Length of one run in ms; null = open-ended
+    const c = t.config[t.mode];
+    if (t.mode === "rest") return c.seconds * 1000;
+    if (t.mode === "emom") return c.minutes * c.every * 1000;
+    if (t.mode === "amrap") return c.minutes * 60000;
+    if (t.mode === "interval") return c.rounds * (c.work + c.rest) * 1000;
+    return null;
+  }
+
+  function timerPhase(t = state.timer, elapsed = timerElapsed(t)) {
+    // What the clock shows: { ms, label, key, done }. ms counts down except for the stopwatch.
+    const c = t.config[t.mode];
+    const total = timerTotal(t);
+    const done = total != null && elapsed >= total;
+    const e = total == null ? elapsed : Math.min(elapsed, total);
+
+    if (t.mode === "emom") {
+      const every = c.every * 1000;
+      const n = Math.min(c.minutes, Math.floor(e / every) + 1);
+      return { ms: done ? 0 : every - (e % every), label: `Interval ${n}/${c.minutes}`, key: `m${n}`, done };
+    }
+    if (t.mode === "interval") {
+      const cycle = (c.work + c.rest) * 1000;
+      const round = Math.min(c.rounds, Math.floor(e / cycle) + 1);
+      const into = done ? cycle : e % cycle;
+      const work = into < c.work * 1000;
+      return {
+        ms: done ? 0 : work ? c.work * 1000 - into : cycle - into,
+        label: `Round ${round}/${c.rounds} • ${done ? "Done" : work ? "Work" : "Rest"}`,
+        key: `${round}${work ? "w" : "r"}`,
+        done
+      };
+    }
+    if (t.mode === "amrap") {
+      return { ms: total - e, label: `Rounds: ${t.laps.length}`, key: "amrap", done };
+    }
+    if (t.mode === "stopwatch") {
+      return { ms: e, label: t.laps.length ? `Lap ${t.laps.length + 1}` : "Session time", key: "stopwatch", done: false };
+    }
+    return { ms: total - e, label: "Rest between sets", key: "rest", done };
+  }
+
+  function formatClock(ms, { countUp = false } = {}) {
+    const total = countUp ? Math.floor(Math.max(0, ms) / 1000) : Math.ceil(Math.max(0, ms) / 1000);
+    const h = Math.floor(total / 3600);
+    const mm = String(Math.floor((total % 3600) / 60)).padStart(2, "0");
+    const ss = String(total % 60).padStart(2, "0");
+    return h ? `${h}:${mm}:${ss}` : `${mm}:${ss}`;
+  }
+
   function setTimerUI() {
-    const s = state.timer.seconds || 0;
-    const mm = String(Math.floor(s / 60)).padStart(2, "0");
-    const ss = String(s % 60).padStart(2, "0");
-    $("#timerTime").textContent = `${mm}:${ss}`;
+    const t = state.timer;
+    const phase = timerPhase(t);
+    const lapLabel = TIMER_MODES[t.mode].lap;
+
+    $("#timerTime").textContent = formatClock(phase.ms, { countUp: t.mode === "stopwatch" });
+    $("#timerPhase").textContent = phase.label;
+    $("#timerMode").value = t.mode;
+
+    const paused = !t.running && t.elapsedBefore > 0 && !phase.done;
+    $("#btnTimerStart").textContent = paused ? "Resume" : "Start";
+    $("#btnTimerStart").disabled = t.running;
+    $("#btnTimerStop").disabled = !t.running;
+    $("#btnTimerLap").style.display = lapLabel ? "" : "none";
+    $("#btnTimerLap").textContent = lapLabel || "Lap";
+    $("#btnTimerLap").disabled = !t.running;
+
+    const name = t.mode === "amrap" ? "Round" : "Lap";
+    $("#timerLaps").innerHTML = t.laps
+      .map((at, i) => ({ n: i + 1, split: at - (i ? t.laps[i - 1] : 0) }))
+      .slice(-5)
+      .reverse()
+      .map(l => `<div class="timerLap"><span>${name} ${l.n}</span><b>${formatClock(l.split, { countUp: true })}</b></div>`)
+      .join("");
   }
 
-  function startTimer(seconds) {
-    state.timer.seconds = seconds;
-    state.timer.running = true;
+  function timerCue(final = false) {
+    try { navigator.vibrate?.(final ? [120, 60, 120] : 80); } catch {}
+    try {
+      const ctx = timerCue.ctx || (timerCue.ctx = new (window.AudioContext || window.webkitAudioContext)());
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      osc.frequency.value = final ? 880 : 660;
+      gain.gain.value = 0.08;
+      osc.connect(gain).connect(ctx.destination);
+      osc.start();
+      osc.stop(ctx.currentTime + (final ? 0.35 : 0.15));
+    } catch {}
+  }
+
+  function tickTimer() {
+    const t = state.timer;
+    const phase = timerPhase(t);
+    if (timerLastPhase && phase.key !== timerLastPhase && !phase.done) timerCue();
+    timerLastPhase = phase.key;
+
+    if (phase.done && t.running) {
+      t.elapsedBefore = timerTotal(t);
+      t.running = false;
+      t.startedAt = null;
+      stopTicker();
+      saveState();
+      timerCue(true);
+      toast("Timer", t.mode === "rest" ? "Rest finished. Go lift 😤" : `${TIMER_MODES[t.mode].label} complete.`);
+    }
     setTimerUI();
-    saveState();
+  }
+
+  function startTicker() {
+    stopTicker();
+    timerLastPhase = timerPhase().key;
+    timerInterval = setInterval(tickTimer, 250);
+    tickTimer();
+  }
 
+  function stopTicker() {
     if (timerInterval) clearInterval(timerInterval);
-    timerInterval = setInterval(() => {
-      if (!state.timer.running) return;
-      state.timer.seconds = Math.max(0, (state.timer.seconds || 0) - 1);
-      setTimerUI();
-      if (state.timer.seconds <= 0) {
-        state.timer.running = false;
-        clearInterval(timerInterval);
-        timerInterval = null;
-        saveState();
-        toast("Timer", "Rest finished. Go lift 😤");
-        try { navigator.vibrate?.([120, 60, 120]); } catch {}
-      }
-    }, 1000);
+    timerInterval = null;
+  }
+
+  function startTimer(seconds) {
+    // Rest countdown between sets (Today → Start Rest)
+    const t = state.timer;
+    stopTicker();
+    t.mode = "rest";
+    if (seconds) t.config.rest.seconds = seconds;
+    t.elapsedBefore = 0;
+    t.laps = [];
+    t.running = false;
+    resumeTimer();
+  }
+
+  function resumeTimer() {
+    const t = state.timer;
+    if (t.running) return;
+    if (timerPhase(t).done) t.elapsedBefore = 0; // a finished run starts over
+    if (!t.elapsedBefore) t.laps = [];
+    t.running = true;
+    t.startedAt = Date.now();
+    saveState();
+    startTicker();
   }
 
-  function stopTimer() {
-    state.timer.running = false;
+  function pauseTimer() {
+    const t = state.timer;
+    if (!t.running) return;
+    t.elapsedBefore = timerElapsed(t);
+    t.running = false;
+    t.startedAt = null;
+    stopTicker();
     saveState();
+    setTimerUI();
   }
+
   function resetTimer() {
-    state.timer.seconds = 0;
-    state.timer.running = false;
+    const t = state.timer;
+    stopTicker();
+    t.running = false;
+    t.startedAt = null;
+    t.elapsedBefore = 0;
+    t.laps = [];
+    saveState();
     setTimerUI();
+  }
+
+  function lapTimer() {
+    const t = state.timer;
+    if (!t.running || !TIMER_MODES[t.mode].lap) return;
+    t.laps.push(timerElapsed(t));
     saveState();
+    setTimerUI();
+  }
+
+  function setTimerMode(mode) {
+    if (!TIMER_MODES[mode]) return;
+    state.timer.mode = mode;
+    resetTimer();
+  }
+
+  function openTimerSetup() {
+    const t = state.timer;
+    const c = t.config;
+    const num = (id, label, value) => `
+      <div class="field">
+        <label for="${id}">${label}</label>
+        <input id="${id}" type="number" inputmode="numeric" min="0" value="${value}" />
+      </div>
+    `;
+    const fields = {
+      rest: num("tmRest", "Rest (seconds)", c.rest.seconds),
+      emom: num("tmEmomMin", "Intervals", c.emom.minutes) + num("tmEmomEvery", "Every (seconds)", c.emom.every),
+      amrap: num("tmAmrapMin", "Time cap (minutes)", c.amrap.minutes),
+      interval: num("tmWork", "Work (seconds)", c.interval.work) + num("tmIntRest", "Rest (seconds)", c.interval.rest) + num("tmRounds", "Rounds", c.interval.rounds),
+      stopwatch: `<div class="muted">Counts up from zero. Use Lap to split the session.</div>`
+    };
+
+    openModal({
+      title: `${TIMER_MODES[t.mode].label} Setup`,
+      bodyHTML: `<div class="formGrid">${fields[t.mode]}</div>`,
+      footHTML: `
+        <button class="btn ghost" id="tmCancel" type="button">Cancel</button>
+        <button class="btn" id="tmSave" type="button">Save</button>
+      `
+    });
+
+    const val = (id, min, max) => clamp(Math.round(Number($(`#${id}`).value) || 0), min, max);
+    $("#tmCancel").onclick = () => closeModal();
+    $("#tmSave").onclick = () => {
+      if (t.mode === "rest") c.rest = { seconds: val("tmRest", 5, 900) };
+      if (t.mode === "emom") c.emom = { minutes: val("tmEmomMin", 1, 60), every: val("tmEmomEvery", 10, 300) };
+      if (t.mode === "amrap") c.amrap = { minutes: val("tmAmrapMin", 1, 90) };
+      if (t.mode === "interval") c.interval = { work: val("tmWork", 5, 600), rest: val("tmIntRest", 0, 600), rounds: val("tmRounds", 1, 50) };
+      closeModal();
+      resetTimer();
+    };
   }
 
   /* =========================
      Logging workout
   ========================= */
+  function estimateSessionMinutes(day, completedPct) {
+    // First logged set to now when that looks like a real session, else the plan's length
+    const first = Math.min(...day.exercises.flatMap(x => (x.loggedSets || []).map(set => Date.parse(set.at))).filter(Number.isFinite));
+    const since = Math.round((Date.now() - first) / 60000);
+    if (since >= 10 && since <= 240) return since;
+    return Math.max(1, Math.round(Number(state.program.profile.minutes) * (completedPct || 1)));
+  }
+
   function openFinishWorkoutModal() {
     if (!state.program) return toast("No plan", "Generate a program first.");
 
     const day = state.program.week[state.todayIndex];
 
-    // Compute completion
-    const totalSets = day.exercises.reduce((a, x) => a + x.prescription.sets, 0);
-    const doneSets = day.exercises.reduce((a, x) => a + (x.completedSets || 0), 0);
-    const completedPct = totalSets ? doneSets / totalSets : 0;
+    // Compute completion against today's (possibly adjusted) targets
+    const session = todaySession(day);
+    const totalSets = session.reduce((a, { pr }) => a + pr.sets, 0);
+    const setsDone = session.reduce((a, { exObj, pr }) => a + Math.min(doneSets(exObj), pr.sets), 0);
+    const completedPct = totalSets ? setsDone / totalSets : 0;
+    const minutes = estimateSessionMinutes(day, completedPct);
 
     const bodyHTML = `
       <div class="muted">Day: <b>${escapeHTML(day.label)}</b> • Focus: <b>${escapeHTML(day.focus)}</b></div>
@@ -1274,6 +5282,12 @@
         </select>
       </div>
 
+      <div class="field" style="margin-top:10px;">
+        <label for="logMinutes">Duration (min)</label>
+        <input id="logMinutes" type="number" inputmode="numeric" min="1" max="300" value="${minutes}" />
+        <div class="help">Duration × effort is the session's training load.</div>
+      </div>
+
       <div class="field" style="margin-top:10px;">
         <label>Session rating (1–5)</label>
         <select id="logRating">
@@ -1283,7 +5297,7 @@
           <option value="4">4</option>
           <option value="5">5</option>
         </select>
-        <div class="help">This updates your smart score (fatigue/recovery/performance).</div>
+        <div class="help">Feeds the performance side of your smart score.</div>
       </div>
 
       <div class="field" style="margin-top:10px;">
@@ -1291,11 +5305,18 @@
         <input id="logNotes" placeholder="e.g. felt strong, shoulder tight, good pump…" />
       </div>
 
+      ${renderPRListHTML(detectSessionPRs(snapshotLoggedExercises(day), buildBests()), "Personal records this session")}
+
       <div class="divider"></div>
-      <div><b>Auto Progression Suggestions</b></div>
+      <div><b>Auto Progression</b></div>
+      <div class="help" style="margin-top:4px;">
+        ${state.program.profile.autoProg ? "These targets are written into your program when you save." : "Auto progression is off — targets stay as they are."}
+      </div>
+      ${state.program.profile.autoProg ? `
       <div class="muted" style="margin-top:8px; line-height:1.55;">
-        ${day.exercises.map(x => `• ${escapeHTML(x.name)}: ${escapeHTML(suggestProgressionForExercise(x))}`).join("<br/>")}
+        ${session.map(({ exObj: x, pr }) => `• ${escapeHTML(x.swappedFrom || x.name)}: ${escapeHTML(x.swappedFrom ? `Targets held — ${x.name} was done instead today.` : describeNextTarget(x, pr))}`).join("<br/>")}
       </div>
+      ` : ""}
     `;
 
     openModal({
@@ -1311,16 +5332,23 @@
     $("#logSave").onclick = () => {
       const intensity = $("#logIntensity").value;
       const rating = Number($("#logRating").value);
+      const durationMin = clamp(Math.round(Number($("#logMinutes").value) || minutes), 1, 300);
       const notes = ($("#logNotes").value || "").trim();
 
-      const s = state.scoring;
-      const readiness = computeReadinessScore(s);
+      const readiness = computeReadinessScore(currentScoring());
 
       const summary = buildLogSummary(day, completedPct, intensity, rating, notes);
+      const exercises = snapshotLoggedExercises(day);
+      const prs = detectSessionPRs(exercises, buildBests());
 
-      state.history.push({
+      // Auto progression: compare against earlier sessions before this one is stored
+      const progressed = state.program.profile.autoProg ? applyProgressionAfterLog(day) : [];
+      const blockWeek = currentBlockWeek().week;
+
+      addHistoryEntry({
         id: uid(),
         date: todayISO(),
+        loggedAt: new Date().toISOString(),
         dayLabel: day.label,
         focus: day.focus,
         goal: state.program.profile.goal,
@@ -1328,29 +5356,36 @@
         completedPct: round(completedPct, 3),
         intensity,
         rating,
+        durationMin,
         readiness,
-        summary
+        summary,
+        units: state.settings.units,
+        programId: state.program.id,
+        programVersion: state.program.revision,
+        dayIndex: state.todayIndex,
+        blockWeek,
+        exercises,
+        prs
       });
 
       // Update streak
-      updateStreakOnLog();
-
-      // Smart scoring update
-      if (state.profile?.smartAdapt) {
-        updateScoringAfterWorkout({ sessionRating: rating, completedPct, intensity });
-      } else {
-        // still set lastUpdated so recoverOverTime behaves
-        state.scoring.lastUpdated = new Date().toISOString();
-      }
+      recomputeStreak();
 
-      // Reset completed sets for next time (but keep notes & weights)
-      day.exercises.forEach(x => { x.completedSets = 0; });
+      // Smart scoring update (scores come from the logged load either way)
+      updateScoringAfterWorkout();
+
+      // Reset logged sets for next time (but keep notes & weights)
+      day.exercises.forEach(x => { x.loggedSets = []; });
+      guided = null;
 
       state._dirty = true;
       saveState();
       closeModal();
 
-      toast("Logged", "Workout saved. Your program will adapt automatically.");
+      if (prs.length) toast("New PR" + (prs.length === 1 ? "" : "s"), prs.map(pr => `${pr.name} — ${formatPR(pr)}`).join(" • "), 5200);
+      toast("Logged", progressed.length
+        ? `Workout saved. New targets set for ${progressed.length} exercise${progressed.length === 1 ? "" : "s"}.`
+        : "Workout saved. Your program will adapt automatically.");
       renderDashboard();
       renderHistory();
       routeTo("dashboard");
@@ -1358,9 +5393,9 @@
   }
 
   function buildLogSummary(day, completedPct, intensity, rating, notes) {
-    const exDone = day.exercises
-      .filter(x => (x.completedSets || 0) > 0)
-      .map(x => `${x.name} (${x.completedSets}/${x.prescription.sets} sets)`)
+    const exDone = todaySession(day)
+      .filter(({ exObj }) => doneSets(exObj) > 0)
+      .map(({ exObj, pr }) => `${exObj.name} (${doneSets(exObj)}/${pr.sets} sets)`)
       .slice(0, 6);
 
     const base = `Finished ${day.label} • ${Math.round(completedPct * 100)}% completion • intensity ${intensity} • rating ${rating}/5.`;
@@ -1369,59 +5404,42 @@
     return base + detail + user;
   }
 
-  function updateStreakOnLog() {
-    const today = todayISO();
-    const last = state.stats.lastLogDate;
-
-    if (!last) {
-      state.stats.streak = 1;
-      state.stats.lastLogDate = today;
-      return;
-    }
-
-    // Compare days difference
-    const d1 = new Date(last + "T00:00:00");
-    const d2 = new Date(today + "T00:00:00");
-    const diffDays = Math.round((d2 - d1) / (1000 * 60 * 60 * 24));
+  function recomputeStreak() {
+    // Consecutive training days ending at the most recent logged date
+    const dates = [...new Set(state.history.map(h => h.date))].sort();
+    let streak = dates.length ? 1 : 0;
+    for (let i = dates.length - 1; i > 0 && daysBetween(dates[i - 1], dates[i]) === 1; i--) streak++;
 
-    if (diffDays === 0) {
-      // already logged today
-      state.stats.lastLogDate = today;
-      return;
-    }
-    if (diffDays === 1) {
-      state.stats.streak = (state.stats.streak || 0) + 1;
-      state.stats.lastLogDate = today;
-      return;
-    }
-    // streak broken
-    state.stats.streak = 1;
-    state.stats.lastLogDate = today;
+    state.stats.streak = streak;
+    state.stats.lastLogDate = dates[dates.length - 1] || null;
   }
 
+
   function countThisWeek() {
-    // crude weekly count based on last 7 days
-    const now = new Date();
-    const cutoff = new Date(now.getTime() - 6 * 24 * 60 * 60 * 1000);
-    let c = 0;
-    for (const log of state.history) {
-      const dt = new Date(log.date + "T00:00:00");
-      if (dt >= cutoff) c++;
-    }
-    return c;
+    // Sessions since the start of the current week (settings.startWeek)
+    const start = weekStartISO(todayISO());
+    return state.history.filter(log => log.date >= start).length;
   }
 
   function calcCategoryDistribution() {
+    // Hard sets per category this block week (not exercise counts)
     if (!state.program) return { push: 0, pull: 0, legs: 0, core: 0 };
     const dist = { push: 0, pull: 0, legs: 0, core: 0 };
     state.program.week.forEach(d => {
       d.exercises.forEach(x => {
-        if (dist[x.category] !== undefined) dist[x.category] += 1;
+        if (dist[x.category] !== undefined) dist[x.category] += sessionPrescription(x).sets;
       });
     });
     return dist;
   }
 
+  function loggedMuscleSetsThisWeek() {
+    // Working sets logged since the start of the week, per muscle
+    const start = weekStartISO(todayISO());
+    const exercises = state.history.filter(log => log.date >= start).flatMap(log => log.exercises || []);
+    return weeklyMuscleSets([{ exercises }], x => x.sets?.length || 0);
+  }
+
   /* =========================
      Labels
   ========================= */
@@ -1451,15 +5469,51 @@
       days: $("#days").value,
       minutes: $("#minutes").value,
       equip: $("#equip").value,
-      limits: $("#limits").value.trim(),
+      limits: $("#limits").value.trim(), // free-text note; the generator reads limitations
+      limitations: readLimitationsFromForm(),
       prefSplit: $("#prefSplit").value,
       tone: $("#tone").value,
+      blockWeeks: $("#blockWeeks").value,
+      periodization: $("#periodization").value,
       autoProg: $("#toggleAutoProg").checked,
       smartAdapt: $("#toggleSmartAdapt").checked,
       autoDeload: $("#toggleDeload").checked,
     };
   }
 
+  function renderLimitationRows(list) {
+    $("#limitList").innerHTML = list.map((l, i) => `
+      <div class="limitRow" data-limit="${i}">
+        <div class="row">
+          <select data-lf="region" aria-label="Body region">
+            ${Object.entries(REGION_LABEL).map(([k, label]) => `<option value="${k}" ${l.region === k ? "selected" : ""}>${label}</option>`).join("")}
+          </select>
+          <select data-lf="severity" aria-label="Severity">
+            ${Object.entries(SEVERITY_RULES).map(([k, r]) => `<option value="${k}" ${l.severity === k ? "selected" : ""}>${r.label}</option>`).join("")}
+          </select>
+          <button class="miniBtn" data-act="removeLimit" data-limit="${i}" type="button">Remove</button>
+        </div>
+        <div class="rowWrap limitAvoid">
+          <span class="muted small">Avoid:</span>
+          ${Object.entries(PATTERN_LABEL).map(([k, label]) => `
+            <div class="toggle compact">
+              <input type="checkbox" id="lim${i}_${k}" data-avoid="${k}" ${(l.avoid || []).includes(k) ? "checked" : ""} />
+              <label for="lim${i}_${k}">${label}</label>
+            </div>
+          `).join("")}
+        </div>
+      </div>
+    `).join("");
+  }
+
+  function readLimitationsFromForm() {
+    return $$("#limitList .limitRow").map(row => ({
+      region: row.querySelector('[data-lf="region"]').value,
+      severity: row.querySelector('[data-lf="severity"]').value,
+      avoid: [...row.querySelectorAll("[data-avoid]")].filter(el => el.checked).map(el => el.dataset.avoid)
+    }));
+  }
+
   function writeFormFromProfile(p) {
     if (!p) return;
     $("#mode").value = p.mode;
@@ -1469,8 +5523,11 @@
     $("#minutes").value = String(p.minutes);
     $("#equip").value = p.equip;
     $("#limits").value = p.limits || "";
+    renderLimitationRows(p.limitations || legacyLimitations(p.limits));
     $("#prefSplit").value = p.prefSplit || "auto";
     $("#tone").value = p.tone || "balanced";
+    $("#blockWeeks").value = String(p.blockWeeks || 6);
+    $("#periodization").value = p.periodization || "auto";
     $("#toggleAutoProg").checked = !!p.autoProg;
     $("#toggleSmartAdapt").checked = !!p.smartAdapt;
     $("#toggleDeload").checked = !!p.autoDeload;
@@ -1479,51 +5536,67 @@
   /* =========================
      Actions
   ========================= */
-  function generateProgram() {
+  function generateProgram({ reroll = false } = {}) {
     const profile = readProfileFromForm();
 
-    // If home mode, we’ll bias exercise picks by equipment (simple rule)
-    // (kept light: the exercise pool already includes home options)
-    // You can expand this later.
-
-    state.profile = profile;
-
-    const program = makeProgram(profile);
-    state.program = program;
-    state.todayIndex = 0;
+    // Reuse the seed in the form (same profile + seed = same plan) unless rerolling
+    const seed = (reroll ? null : parseSeed($("#seed").value)) ?? newSeed();
 
-    state._dirty = true;
-    saveState();
+    const program = makeProgram(profile, { seed });
+    const apply = (replace) => {
+      // Nothing is stored until the user confirms; Cancel leaves profile and seed as they were
+      state.profile = profile;
+      $("#seed").value = seed;
+      if (replace) state.programs = state.programs.filter(p => p.id !== state.program.id);
+      state.todayIndex = 0;
+      setActiveProgram(program);
+      programDraft = null;
 
-    toast("Generated", `Program created: ${splitLabel(program.profile.split)} • ${profile.days} days/week`);
-    renderProgramOutput();
-    renderDashboard();
-    routeTo("generator");
-  }
+      state._dirty = true;
+      saveState();
+      closeModal();
 
-  function rebuildTodayWithCurrentScoring() {
-    if (!state.profile) return toast("No profile", "Generate a program first.");
-    // Regenerate but keep weights/notes if same exercise appears.
-    const old = state.program;
-    const fresh = makeProgram(state.profile);
+      toast("Generated", `Program created: ${splitLabel(program.profile.split)} • ${profile.days} days/week`);
+      renderProgramOutput();
+      renderProgramLibrary();
+      renderDashboard();
+      routeTo("generator");
+    };
 
-    // Attempt to carry over weight/notes by matching exercise name
-    const map = new Map();
-    old?.week?.forEach(d => d.exercises.forEach(ex => map.set(ex.name, { workingWeight: ex.workingWeight, notes: ex.notes })));
+    if (!state.program) return apply(false);
 
-    fresh.week.forEach(d => d.exercises.forEach(ex => {
-      const saved = map.get(ex.name);
-      if (saved) {
-        ex.workingWeight = saved.workingWeight;
-        ex.notes = saved.notes;
-      }
-    }));
+    // Never drop a plan the user may have swapped and annotated without asking
+    openModal({
+      title: "New Program",
+      bodyHTML: `
+        <div class="muted">You already have <b>${escapeHTML(state.program.name)}</b> active.</div>
+        <div class="help" style="margin-top:8px;">Keep it in My Programs and switch to the new plan, or replace it. History is kept either way.</div>
+      `,
+      footHTML: `
+        <button class="btn ghost" id="genCancel" type="button">Cancel</button>
+        <button class="btn danger" id="genReplace" type="button">Replace</button>
+        <button class="btn" id="genKeep" type="button">Keep Both</button>
+      `
+    });
+    $("#genCancel").onclick = () => closeModal();
+    $("#genReplace").onclick = () => apply(true);
+    $("#genKeep").onclick = () => apply(false);
+  }
 
-    state.program = fresh;
+  function recheckToday() {
+    // Drops today's choices so the proposals reflect readiness as it is now;
+    // exercises with sets logged keep theirs (see "Today Adaptation")
+    if (!state.program) return toast("No plan", "Generate a program first.");
+    const day = state.program.week[state.todayIndex];
+    const kept = Object.entries(adaptationChoices()).filter(([i]) => day.exercises[i] && doneSets(day.exercises[i]) > 0);
+    state.adaptation = kept.length ? { ...state.adaptation, choices: Object.fromEntries(kept) } : null;
     state._dirty = true;
     saveState();
-
-    toast("Rebuilt", "Today’s plan refreshed based on readiness.");
+    const ready = computeReadinessScore(currentScoring());
+    const count = isRestDayToday() ? 0 : todayAdjustments(state.program.week[state.todayIndex]).filter(Boolean).length;
+    toast("Readiness", count
+      ? `Readiness ${ready} (${readinessTier(ready).label}): ${count} adjustment${count === 1 ? "" : "s"} suggested on Today.`
+      : `Readiness ${ready} (${readinessTier(ready).label}): today's session runs as planned.`);
     renderDashboard();
     renderToday();
   }
@@ -1559,6 +5632,10 @@
             <option value="1">100%</option>
           </select>
         </div>
+        <div class="field" style="margin-top:10px;">
+          <label for="qMinutes">Duration (min)</label>
+          <input id="qMinutes" type="number" inputmode="numeric" min="1" max="300" value="${Number(state.program.profile.minutes)}" />
+        </div>
         <div class="field" style="margin-top:10px;">
           <label>Notes</label>
           <input id="qNotes" placeholder="quick note…" />
@@ -1575,15 +5652,17 @@
       const intensity = $("#qIntensity").value;
       const rating = Number($("#qRating").value);
       const completedPct = Number($("#qComp").value);
+      const durationMin = clamp(Math.round(Number($("#qMinutes").value) || Number(state.program.profile.minutes)), 1, 300);
       const notes = ($("#qNotes").value || "").trim();
 
       const day = state.program.week[state.todayIndex];
-      const readiness = computeReadinessScore(state.scoring);
+      const readiness = computeReadinessScore(currentScoring());
       const summary = `Quick log • ${Math.round(completedPct * 100)}% • intensity ${intensity} • rating ${rating}/5. ${notes ? "Notes: " + notes : ""}`;
 
-      state.history.push({
+      addHistoryEntry({
         id: uid(),
         date: todayISO(),
+        loggedAt: new Date().toISOString(),
         dayLabel: day.label,
         focus: day.focus,
         goal: state.program.profile.goal,
@@ -1591,16 +5670,19 @@
         completedPct: round(completedPct, 3),
         intensity,
         rating,
+        durationMin,
         readiness,
-        summary
+        summary,
+        units: state.settings.units,
+        programId: state.program.id,
+        programVersion: state.program.revision,
+        dayIndex: state.todayIndex,
+        blockWeek: currentBlockWeek().week,
+        exercises: []
       });
 
-      updateStreakOnLog();
-      if (state.profile?.smartAdapt) {
-        updateScoringAfterWorkout({ sessionRating: rating, completedPct, intensity });
-      } else {
-        state.scoring.lastUpdated = new Date().toISOString();
-      }
+      recomputeStreak();
+      updateScoringAfterWorkout();
 
       state._dirty = true;
       saveState();
@@ -1611,7 +5693,7 @@
   }
 
   function exportJSON() {
-    const data = JSON.stringify({ ...state, _dirty: undefined }, null, 2);
+    const data = JSON.stringify({ ...state, _dirty: undefined, schemaVersion: SCHEMA_VERSION }, null, 2);
     // Create download
     const blob = new Blob([data], { type: "application/json" });
     const url = URL.createObjectURL(blob);
@@ -1644,9 +5726,12 @@
       try {
         const txt = $("#restoreArea").value.trim();
         const obj = JSON.parse(txt);
-        state = deepMerge(structuredClone(defaultState), obj);
+        const { schemaVersion = 1, ...snap } = obj;
+        if (schemaVersion > SCHEMA_VERSION) return toast("Error", "This backup comes from a newer version of the app.");
+        const next = deepMerge(structuredClone(defaultState), migrateSnapshot(snap, schemaVersion));
+        next.history = sortHistory(next.history || []);
+        replaceAllData(next);
         setTheme(state.theme || "dark");
-        saveState();
         closeModal();
         toast("Restored", "Backup loaded successfully.");
         hydrateUIFromState();
@@ -1676,10 +5761,8 @@
     $("#wipeGo").onclick = () => {
       const v = ($("#wipeConfirm").value || "").trim();
       if (v !== "WIPE") return toast("Confirm", "Type WIPE exactly to continue.");
-      localStorage.removeItem(STORAGE_KEY);
-      state = structuredClone(defaultState);
+      replaceAllData(structuredClone(defaultState));
       setTheme(state.theme);
-      saveState();
       closeModal();
       toast("Wiped", "All data cleared.");
       hydrateUIFromState();
@@ -1689,18 +5772,15 @@
   }
 
   function resetAllQuick() {
-    localStorage.removeItem(STORAGE_KEY);
-    state = structuredClone(defaultState);
+    replaceAllData(structuredClone(defaultState));
     setTheme(state.theme);
-    saveState();
     hydrateUIFromState();
     renderDashboard();
     toast("Reset", "App reset complete.");
   }
 
   function explainScore() {
-    const s = state.scoring;
-    const readiness = computeReadinessScore(s);
+    const readiness = computeReadinessScore(currentScoring());
     openModal({
       title: "How the score works",
       bodyHTML: `
@@ -1708,14 +5788,17 @@
         <div class="divider"></div>
         <div><b>Readiness Score: ${readiness}/100</b></div>
         <div class="muted" style="margin-top:6px; line-height:1.5;">
-          • <b>Fatigue</b> increases after hard sessions and drops with rest days.<br/>
-          • <b>Recovery</b> drops after workouts and rises each rest day.<br/>
-          • <b>Performance</b> increases when you complete workouts and rate sessions well.
+          • <b>Training load</b> of a session is its effort (set RPE, or how hard it felt) × minutes.<br/>
+          • <b>Fatigue</b> follows the acute:chronic workload ratio (ACWR): last ~7 days of load against the last ~28. 0.8–1.3 is the sweet spot; above 1.5 is a spike.<br/>
+          • <b>Recovery</b> drops by each session's load and comes back over the following days.<br/>
+          • <b>Performance</b> tracks your chronic load (fitness) and how well recent sessions went.<br/>
+          • <b>Check-in</b> answers (sleep, soreness, stress, energy, motivation, resting HR) adjust today's scores only.
         </div>
         <div class="divider"></div>
         <div class="muted" style="line-height:1.5;">
-          When readiness is low, the generator reduces accessory volume and suggests deloads.
-          When readiness is high, it nudges reps slightly up.
+          Scores are recomputed from your history, so editing or deleting a log corrects them.
+          With smart adaptation on, Today proposes changes to that day's session only: fewer accessory sets and a lower RPE when readiness is low (plus lighter loads or variants below 42), an extra accessory set when it is high. Your plan is never rewritten.
+          A load spike or very low readiness also suggests a deload.
         </div>
       `,
       footHTML: `<button class="btn ghost" type="button" onclick="document.getElementById('modalClose').click()">Close</button>`
@@ -1724,17 +5807,20 @@
 
   function suggestDeloadManual() {
     if (!state.program) return toast("No plan", "Generate a plan first.");
-    const ready = computeReadinessScore(state.scoring);
-    const fatigue = state.scoring.fatigue;
+    const sc = currentScoring();
+    const ready = computeReadinessScore(sc);
+    const fatigue = sc.fatigue;
+    const pos = currentBlockWeek();
 
     openModal({
       title: "Deload Suggestion",
       bodyHTML: `
-        <div class="muted">Readiness: <b>${ready}</b> • Fatigue: <b>${fatigue}</b></div>
+        <div class="muted">Readiness: <b>${ready}</b> • Fatigue: <b>${fatigue}</b> • ACWR: <b>${sc.acwr}</b> (${escapeHTML(acwrBand(sc.acwr).label)})</div>
+        <div class="muted" style="margin-top:6px;">${escapeHTML(blockWeekLabel(pos))} • scheduled deload: <b>week ${pos.weeks}</b>${pos.info.deload ? " (this week)" : ""}</div>
         <div class="divider"></div>
         <div><b>Recommended deload if:</b></div>
         <div class="muted" style="margin-top:6px; line-height:1.6;">
-          • Fatigue ≥ 65 <br/>
+          • ACWR ≥ 1.5 (recent load far above your usual) <br/>
           • Readiness ≤ 45 <br/>
           • You feel joint pain, sleep is bad, or you’re plateauing
         </div>
@@ -1761,14 +5847,23 @@
 
     // Fill generator form
     if (state.profile) writeFormFromProfile(state.profile);
+    $("#seed").value = state.program?.seed ?? "";
 
-    // Timer
+    // Timer (a run in progress keeps going across reloads)
+    $("#timerMode").innerHTML = Object.entries(TIMER_MODES).map(([k, m]) => `<option value="${k}">${escapeHTML(m.label)}</option>`).join("");
+    if (state.timer.running) startTicker();
     setTimerUI();
 
     // Offline badge
     $("#pillOffline").textContent = navigator.onLine ? "Online" : "Offline Ready";
   }
 
+  // Headless load (tests/generator.test.js): hand over the generator, skip the UI
+  if (window.FORGEFIT_HEADLESS) {
+    Object.assign(window.FORGEFIT_HEADLESS, { makeProgram });
+    return;
+  }
+
   /* =========================
      Event listeners
   ========================= */
@@ -1785,8 +5880,20 @@
   });
 
   $("#btnQuickGen").addEventListener("click", () => routeTo("generator"));
-  $("#btnGenerate").addEventListener("click", generateProgram);
-  $("#btnRebuildToday").addEventListener("click", rebuildTodayWithCurrentScoring);
+  $("#btnGenerate").addEventListener("click", () => generateProgram());
+  $("#btnReroll").addEventListener("click", () => generateProgram({ reroll: true }));
+  $("#progShowArchived").addEventListener("change", renderProgramLibrary);
+
+  const shiftMonth = (by) => {
+    const [y, m] = calendarMonth.split("-").map(Number);
+    calendarMonth = dateISO(new Date(y, m - 1 + by, 1)).slice(0, 7);
+    renderCalendar();
+  };
+  $("#calPrev").addEventListener("click", () => shiftMonth(-1));
+  $("#calNext").addEventListener("click", () => shiftMonth(1));
+  $("#calToday").addEventListener("click", () => { calendarMonth = null; renderCalendar(); });
+  $("#calColor").addEventListener("change", renderCalendar);
+  $("#btnRebuildToday").addEventListener("click", recheckToday);
   $("#btnRecalcBalance").addEventListener("click", renderBalanceBars);
 
   $("#btnStartWorkout").addEventListener("click", () => routeTo("today"));
@@ -1798,6 +5905,7 @@
   $("#btnPrevDay").addEventListener("click", () => {
     if (!state.program) return;
     state.todayIndex = (state.todayIndex - 1 + state.program.week.length) % state.program.week.length;
+    state.schedule.trainAnyway = true;
     saveState();
     renderToday();
     renderDashboard();
@@ -1805,17 +5913,26 @@
   $("#btnNextDay").addEventListener("click", () => {
     if (!state.program) return;
     state.todayIndex = (state.todayIndex + 1) % state.program.week.length;
+    state.schedule.trainAnyway = true;
     saveState();
     renderToday();
     renderDashboard();
   });
 
+  $("#btnGuided").addEventListener("click", () => guided ? stopGuided() : startGuided());
+
   // Timer buttons
-  $("#btnTimerStart").addEventListener("click", () => {
-    if (state.timer.seconds <= 0) startTimer(60);
-    else startTimer(state.timer.seconds);
+  $("#btnTimerStart").addEventListener("click", () => resumeTimer());
+  $("#btnTimerStop").addEventListener("click", () => pauseTimer());
+  $("#btnTimerLap").addEventListener("click", () => lapTimer());
+  $("#btnTimerSetup").addEventListener("click", openTimerSetup);
+  $("#timerMode").addEventListener("change", (e) => setTimerMode(e.target.value));
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden) return;
+    if (state.timer.running) tickTimer();
+    // Back after midnight: move on to the new day's session
+    if (syncTodayWithCalendar()) { renderDashboard(); renderToday(); }
   });
-  $("#btnTimerStop").addEventListener("click", () => stopTimer());
   $("#btnTimerReset").addEventListener("click", () => resetTimer());
 
   // Export / Copy
@@ -1843,10 +5960,8 @@
     $("#hcCancel").onclick = () => closeModal();
     $("#hcGo").onclick = () => {
       state.history = [];
-      state.stats.streak = 0;
-      state.stats.lastLogDate = null;
-      state._dirty = true;
-      saveState();
+      persist(s => s.clearHistory());
+      recomputeFromHistory(); // streak, PRs, load model and check-in readiness back to an empty log
       closeModal();
       toast("Cleared", "History deleted.");
       renderDashboard();
@@ -1863,8 +5978,11 @@
       minutes: "60",
       equip: "db_bands",
       limits: "",
+      limitations: [],
       prefSplit: "auto",
       tone: "balanced",
+      blockWeeks: "6",
+      periodization: "auto",
       autoProg: true,
       smartAdapt: true,
       autoDeload: true,
@@ -1873,7 +5991,17 @@
     toast("Demo", "Demo profile loaded.");
   });
 
+  $("#btnAddLimit").addEventListener("click", () => {
+    renderLimitationRows([...readLimitationsFromForm(), { region: "knee", severity: "moderate", avoid: [] }]);
+  });
+  $("#limitList").addEventListener("click", (e) => {
+    const b = e.target.closest('button[data-act="removeLimit"]');
+    if (!b) return;
+    renderLimitationRows(readLimitationsFromForm().filter((_, i) => i !== Number(b.dataset.limit)));
+  });
+
   $("#btnExplainScore").addEventListener("click", explainScore);
+  $("#btnCheckin").addEventListener("click", openCheckin);
   $("#btnDeload").addEventListener("click", suggestDeloadManual);
 
   // Settings
@@ -1881,12 +6009,28 @@
     state.settings.units = $("#units").value;
     saveState();
     toast("Settings", "Units updated.");
+    renderSettings();
     renderToday();
   });
   $("#startWeek").addEventListener("change", () => {
     state.settings.startWeek = $("#startWeek").value;
-    saveState();
-    toast("Settings", "Week start updated.");
+    scheduleSettingsChanged("Week start updated.");
+  });
+  $("#trainingDays").addEventListener("change", () => {
+    state.settings.trainingDays = $$("#trainingDays [data-weekday]").filter(el => el.checked).map(el => Number(el.dataset.weekday)).sort();
+    const n = state.program?.week.length;
+    const picked = state.settings.trainingDays.length;
+    scheduleSettingsChanged(!picked
+      ? "Schedule off — pick sessions with Prev/Next."
+      : n && picked !== n
+        ? `${picked} training days for a ${n}-day program — sessions rotate across weeks.`
+        : "Training days updated.");
+  });
+  ["#loadBar", "#loadPlates", "#loadDbStep", "#loadDbMax"].forEach(id => $(id).addEventListener("change", loadingSettingsChanged));
+  $("#plateCalcLoad").addEventListener("input", updatePlateCalc);
+  $("#missedRule").addEventListener("change", () => {
+    state.settings.missedRule = $("#missedRule").value;
+    scheduleSettingsChanged("Missed-session rule updated.");
   });
   $("#btnBackup").addEventListener("click", exportJSON);
   $("#btnRestore").addEventListener("click", restoreJSON);
@@ -1900,6 +6044,11 @@
     $("#libSearch").value = "";
     renderLibrary("");
   });
+  $("#libOwnedOnly").addEventListener("change", () => renderLibrary($("#libSearch").value));
+  $("#btnAddExercise").addEventListener("click", () => openExerciseForm());
+
+  // Progress
+  $("#progressExercise").addEventListener("change", () => { progressLoad = null; renderProgress(); });
 
   // Online/offline indicator
   window.addEventListener("online", () => $("#pillOffline").textContent = "Online");
@@ -1911,16 +6060,36 @@
   function programToText(program) {
     const p = program.profile;
     const lines = [];
-    lines.push(`ForgeFit Program — ${new Date(program.createdAt).toLocaleString()}`);
+    lines.push(`ForgeFit Program — ${program.name || "Untitled"} — ${new Date(program.createdAt).toLocaleString()}`);
     lines.push(`Mode: ${p.mode} • Goal: ${labelGoal(p.goal)} • Level: ${p.level}`);
     lines.push(`Days: ${p.days}/week • Minutes: ${p.minutes} • Split: ${splitLabel(p.split)}`);
     lines.push(`AutoProg: ${p.autoProg ? "On" : "Off"} • SmartAdapt: ${p.smartAdapt ? "On" : "Off"}`);
+    (p.limitations || []).forEach(l => {
+      const avoid = l.avoid?.length ? ` • avoid ${l.avoid.map(k => PATTERN_LABEL[k] || k).join(", ")}` : "";
+      lines.push(`Limitation: ${REGION_LABEL[l.region] || l.region} (${SEVERITY_RULES[l.severity]?.label || l.severity})${avoid}`);
+    });
+    if (p.limits) lines.push(`Notes: ${p.limits}`);
+    if (program.seed != null) lines.push(`Seed: ${program.seed} (same profile + seed regenerates this plan)`);
+    lines.push(`Weekly sets vs target: ${volumeSummary(program).join(", ")}`);
+    const block = programBlock(program);
+    lines.push(`Block: ${block.weeks} weeks • ${PERIODIZATION_LABEL[block.scheme] || block.scheme} periodization`);
+    block.plan.forEach(w => {
+      lines.push(`  Week ${w.week} (${w.phase}): sets ×${w.setScale}, reps ${w.repDelta >= 0 ? "+" : ""}${w.repDelta}, load ${Math.round(w.loadPct * 100)}%, RPE ${w.rpeShift >= 0 ? "+" : ""}${w.rpeShift}`);
+    });
     lines.push("");
     program.week.forEach((day, i) => {
       lines.push(`DAY ${i + 1}: ${day.label} (${day.focus})`);
-      day.exercises.forEach(ex => {
+      lines.push(`Warm-up: ${sessionWarmup(day).join(", ")}`);
+      const labels = groupLabels(day.exercises);
+      day.exercises.forEach((ex, xi) => {
         const pr = ex.prescription;
-        lines.push(`- ${ex.name}: ${pr.sets}x${pr.reps} • rest ${pr.rest}s • tempo ${pr.tempo} • ${pr.rpeHint}`);
+        const group = dayGroup(day, ex);
+        if (group && labels[xi].endsWith("1")) lines.push(describeGroup(group));
+        if (group) lines.push(`  ${labels[xi]}. ${ex.name}: ${formatTarget(pr)} • tempo ${pr.tempo} • ${pr.rpeHint}`);
+        else lines.push(`- ${ex.name}: ${formatTarget(pr)} • rest ${pr.rest}s • tempo ${pr.tempo} • ${pr.rpeHint}`);
+        if (pr.limitNote) lines.push(`    modified: ${pr.limitNote}`);
+        const ramp = warmupSets(ex, targetLoad(pr));
+        if (ramp.length) lines.push(`    warm-up: ${formatWarmup(ramp)}`);
       });
       lines.push("");
     });
@@ -1930,10 +6099,36 @@
   /* =========================
      Init
   ========================= */
-  recoverOverTime();
-  hydrateUIFromState();
-  renderDashboard();
-  routeTo("dashboard");
-  saveState();
+  (async function boot() {
+    let opened = null;
+    let storageError = null;
+    try {
+      opened = await openStorage();
+    } catch (err) {
+      storageError = err;
+    }
+    // Without storage the app still runs on defaults, but nothing is saved over the user's data
+    state = opened ? await loadState(opened) : structuredClone(defaultState);
+    store = opened; // saves are accepted only from here on
+    syncCustomExercises();
+    refreshScoring();
+    syncTodayWithCalendar();
+    hydrateUIFromState();
+    renderDashboard();
+    routeTo("dashboard");
+    if (storageError) {
+      openModal({
+        title: "Could not open your data",
+        bodyHTML: `
+          <div class="muted">Your saved workouts could not be loaded or updated, so this session will not be saved.
+          Nothing on this device has been changed. Close ForgeFit in any other tabs and reload to try again.</div>
+          <div class="muted small" style="margin-top:10px">Details: ${escapeHTML(storageError.message || String(storageError))}</div>
+        `,
+        footHTML: `<button class="btn" type="button" onclick="location.reload()">Reload</button>`
+      });
+      return;
+    }
+    saveState();
+  })();
 
 })();
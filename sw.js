@@ -1,4 +1,4 @@
-const CACHE_NAME = "forgefit-cache-v1";
+const CACHE_NAME = "forgefit-cache-v2";
 const ASSETS = [
   "./",
   "./index.html",
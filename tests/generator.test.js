@@ -0,0 +1,121 @@
+/* =========================================================
+   Generator snapshots
+   - makeProgram must be a pure function of profile + seed: the same pair
+     always gives the same plan, whatever the scores or check-ins say
+   - run: node --test tests/
+   - after an intended generator change: UPDATE_SNAPSHOTS=1 node --test tests/
+     (missing snapshots are written on a local run; under CI they fail)
+   ========================================================= */
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const SNAPSHOT_FILE = path.join(__dirname, "__snapshots__", "generator.json");
+
+const BASE_PROFILE = {
+  mode: "gym",
+  goal: "hypertrophy",
+  level: "intermediate",
+  days: "4",
+  minutes: "60",
+  equip: "db_bands",
+  limits: "",
+  limitations: [],
+  prefSplit: "auto",
+  tone: "balanced",
+  blockWeeks: "6",
+  periodization: "auto",
+  autoProg: true,
+  smartAdapt: true,
+  autoDeload: true,
+};
+
+const CASES = [
+  { name: "gym hypertrophy 4d", seed: 12345, profile: {} },
+  { name: "home strength 3d", seed: 987654321, profile: { mode: "home", equip: "db", goal: "strength", level: "beginner", days: "3", minutes: "45" } },
+  { name: "gym fat loss 5d short", seed: 42, profile: { goal: "fatloss", level: "advanced", days: "5", minutes: "30", tone: "highvolume" } },
+  { name: "home bodyweight with knee limitation", seed: 7, profile: { mode: "home", equip: "bodyweight", days: "3", minutes: "40", limitations: [{ region: "knee", severity: "moderate", avoid: [] }] } },
+];
+
+function loadGenerator() {
+  // app.js is a browser script: give it just enough of a page to reach its headless hook
+  const element = () => ({
+    style: {},
+    classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+    addEventListener() {},
+    querySelector: () => element(),
+    querySelectorAll: () => [],
+    textContent: "",
+    innerHTML: "",
+    value: "",
+  });
+  const headless = {};
+  const context = {
+    FORGEFIT_HEADLESS: headless,
+    document: { querySelector: () => element(), querySelectorAll: () => [], documentElement: element(), addEventListener() {} },
+    navigator: {},
+    addEventListener() {},
+    structuredClone,
+    console,
+  };
+  context.window = context;
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(path.join(__dirname, "..", "app.js"), "utf8"), context, { filename: "app.js" });
+  return headless;
+}
+
+function plan(program) {
+  // What the seed decides; ids and timestamps are fresh on every run
+  const groupNames = new Map();
+  const groupName = (id) => {
+    if (!groupNames.has(id)) groupNames.set(id, `g${groupNames.size + 1}`);
+    return groupNames.get(id);
+  };
+  return {
+    name: program.name,
+    seed: program.seed,
+    split: program.meta.split,
+    block: program.block,
+    week: program.week.map(d => ({
+      label: d.label,
+      focus: d.focus,
+      exercises: d.exercises.map(x => ({
+        exId: x.exId,
+        group: x.group ? groupName(x.group) : null,
+        prescription: x.prescription,
+      })),
+      groups: (d.groups || []).map(g => ({ ...g, id: groupName(g.id) })),
+    })),
+  };
+}
+
+const { makeProgram } = loadGenerator();
+const snapshots = fs.existsSync(SNAPSHOT_FILE) ? JSON.parse(fs.readFileSync(SNAPSHOT_FILE, "utf8")) : {};
+const update = !!process.env.UPDATE_SNAPSHOTS;
+const written = {};
+
+CASES.forEach(({ name, seed, profile }) => {
+  test(`makeProgram: ${name}`, () => {
+    const full = { ...BASE_PROFILE, ...profile };
+    const first = plan(makeProgram(full, { seed }));
+    assert.deepStrictEqual(plan(makeProgram(full, { seed })), first, "same profile + seed must give the same plan");
+
+    const expected = JSON.parse(JSON.stringify(first)); // drop undefined fields like the snapshot file does
+    if (!(name in snapshots) && process.env.CI && !update) assert.fail(`no snapshot for "${name}" (CI does not write new ones)`);
+    if (update || !(name in snapshots)) {
+      written[name] = expected;
+      return;
+    }
+    assert.deepStrictEqual(expected, snapshots[name]);
+  });
+});
+
+test.after(() => {
+  if (!Object.keys(written).length) return;
+  fs.mkdirSync(path.dirname(SNAPSHOT_FILE), { recursive: true });
+  fs.writeFileSync(SNAPSHOT_FILE, JSON.stringify({ ...snapshots, ...written }, null, 2) + "\n");
+});